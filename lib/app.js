@@ -44,6 +44,8 @@ exports.isQuitting = false
 inject(exports, {
   fs: require('fs-extra'),
   service: require('./service'),
+  serviceEvents: require('./service/events'),
+  getReleaseIpcManager: () => require('./games/releaseIpcManager'), // Avoid circular dependency
   getAppPath: function () {
     return getAppPath.call(electron.app)
   },
@@ -180,7 +182,18 @@ exports.setup = function () {
   })
 
   this.on('before-quit', () => {
+    const {
+      serviceEvents,
+      getReleaseIpcManager,
+    } = this.modules
+
     this.isQuitting = true
+    serviceEvents.publish(serviceEvents.TYPES.LAUNCHER_QUITTING, {})
+
+    // The sessions of the running games end at the quit date on the next launch
+    getReleaseIpcManager().releases
+      .filter((release) => release.isRunning())
+      .forEach((release) => release.saveToDisk(false))
   })
 
   return this
@@ -1,11 +1,28 @@
 /**
  * This module manage user authentication
  *
+ * Several accounts can be signed in at once. Their API keys are kept
+ * in `apiKeys`, by account id, and `apiKey` is the key of the active
+ * account: the one shown in the launcher and used by the Haapi calls.
+ * The accounts are listed in the `ACCOUNTS` setting, and the keys of
+ * the accounts which stay logged in are stored together in the
+ * credential store.
+ *
+ * Accounts protected by the Ankama Authenticator or a security card ask
+ * for a one-time code: `login` is then rejected with the
+ * `SECOND_FACTOR_REQUIRED` Haapi error and must be called again with the
+ * code. When the user trusts the device, Haapi returns a certificate which
+ * is sent on the next logins of this account instead of a code.
+ *
+ * The API keys are refreshed in the background before they expire, and
+ * again later when the refresh fails, e.g. while the launcher is offline.
+ * A key rejected by Haapi ends the session of its account: the user is
+ * asked to sign in again through the `expiredSession` of the light object.
+ *
  * @module zaap/auth
  */
 const inject = require('instill')
 const EventEmitter = require('events')
-const path = require('path')
 const util = require('util')
 
 const Auth = function () {
@@ -15,7 +32,7 @@ module.exports = exports = new Auth()
 
 /* istanbul ignore next */
 inject(exports, {
-  cryptoHelper: require('./cryptoHelper'),
+  credentialStore: require('./credentialStore'),
   settings: require('./settings'),
   buildConfig: require('./buildConfig'),
   haapi: require('./haapi'),
@@ -26,7 +43,9 @@ inject(exports, {
   ipcMain: require('electron').ipcMain,
   kpi: require('./kpi'),
   user: require('./user'),
-  fs: require('fs'),
+  connectivity: require('./connectivity'),
+  serviceEvents: require('./service/events'),
+  getDateNow: () => Date.now(),
 })
 
 // Errors
@@ -43,7 +62,33 @@ exports.errors = errors
 
 exports.apiKey = null
 
-const API_KEY_FILENAME = '.keydata'
+/**
+ * @property {Object} apiKeys API keys of the signed in accounts, by account id.
+ */
+exports.apiKeys = {}
+
+/**
+ * @property {Object} apiKeyRefreshes Scheduled refreshes of the API keys, by account id, as { timeout, failuresCount }.
+ */
+exports.apiKeyRefreshes = {}
+
+/**
+ * @property {Object|null} expiredSession Account whose session has expired, as { accountId, login }, until the user signs in again.
+ */
+exports.expiredSession = null
+
+// Names of the credentials, they are the names of the files written by previous versions
+const API_KEYS_CREDENTIAL = 'keydata'
+const DEVICE_CERTIFICATES_CREDENTIAL = 'certificates'
+
+// The API keys are refreshed this long before they expire
+const API_KEY_REFRESH_MARGIN_IN_MS = 60 * 60 * 1000
+// Refresh interval of the API keys whose expiration date is unknown
+const API_KEY_DEFAULT_REFRESH_INTERVAL_IN_MS = 24 * 60 * 60 * 1000
+const API_KEY_REFRESH_MIN_RETRY_DELAY_IN_MS = 60 * 1000
+const API_KEY_REFRESH_MAX_RETRY_DELAY_IN_MS = 30 * 60 * 1000
+// Longest delay supported by setTimeout
+const MAX_TIMEOUT_DELAY_IN_MS = 2147483647
 
 /**
  * @summary Start the ipc communication between the main and renderer process
@@ -57,8 +102,14 @@ exports.setup = function () {
     ipcMain,
     logger,
     kpi,
+    connectivity,
   } = this.modules
 
+  // The refreshes which failed while offline are retried as soon as possible
+  connectivity.on('online', () => {
+    this.retryApiKeyRefreshes()
+  })
+
   // logout if the userInfo become undefined (it happens if the user deletes his settings files)
   settings.watch(settings.KEYS.USER_INFO, (newValue) => {
     if (!newValue && this.isAuthenticated()) {
@@ -72,26 +123,29 @@ exports.setup = function () {
 
   app.on('will-quit', (event) => {
     const {
-      settings,
       app,
       kpi,
     } = this.modules
 
+    // The keys of the accounts which do not stay logged in are deleted
+    const temporaryAccountIds = this.getSignedInAccountIds()
+      .filter((accountId) => !this.getAccount(accountId).stayLoggedIn)
+
     if (kpi.isStarted()) {
       event.preventDefault()
       kpi.end()
         .then(() => {
           app.quit()
         })
-    } else if (this.isAuthenticated() && !settings.get(settings.KEYS.STAY_LOGGED_IN)) {
+    } else if (temporaryAccountIds.length > 0) {
       event.preventDefault()
-      this.deleteApiKey()
+      Promise.all(temporaryAccountIds.map((accountId) => this.deleteApiKey(accountId)))
         .then(() => {
-          app.quit()
-        })
-        .catch(() => {
-          // set apikey to null (if not, this event will be called infinitely),
-          this.apiKey = null
+          // forget the keys even if they could not be deleted (if not, this event will be called infinitely),
+          temporaryAccountIds.forEach((accountId) => {
+            this.forgetApiKey(accountId)
+            this.removeAccount(accountId)
+          })
           app.quit()
         })
     }
@@ -101,15 +155,23 @@ exports.setup = function () {
     event.returnValue = this.expose()
   })
 
-  ipcMain.on(remoteCommunication.CHANNELS.AUTH_LOGIN, (event, login, password, stayLoggedIn) => {
-    this.login(login, password, stayLoggedIn)
+  ipcMain.on(remoteCommunication.CHANNELS.AUTH_LOGIN, (event, login, password, stayLoggedIn, code, trustDevice) => {
+    this.login(login, password, stayLoggedIn, code, trustDevice)
       .catch((error) => {
         logger.error('auth: login error', error)
         event.sender.send(remoteCommunication.CHANNELS.AUTH_LOGIN_ERROR, error)
       })
   })
 
-  ipcMain.on(remoteCommunication.CHANNELS.AUTH_LOGOUT, () => {
+  ipcMain.on(remoteCommunication.CHANNELS.AUTH_LOGOUT, (event, accountId) => {
+    if (accountId && accountId !== this.getActiveAccountId()) {
+      this.logout(accountId)
+        .catch((error) => {
+          logger.error('auth: unable to logout', error)
+        })
+      return
+    }
+
     kpi.end()
     // wait for all kpi sent with apiKey before logout
     process.nextTick(() => {
@@ -119,18 +181,13 @@ exports.setup = function () {
         })
     })
   })
-}
 
-/**
- * @summary Return the path to the file where the api key is stored
- * @returns {string} the path to the file where the api key is stored
- */
-exports.getApiKeyFilepath = function () {
-  const {
-    app,
-  } = this.modules
-
-  return path.join(app.getPath('userData'), API_KEY_FILENAME)
+  ipcMain.on(remoteCommunication.CHANNELS.AUTH_SWITCH_ACCOUNT, (event, accountId) => {
+    this.switchAccount(accountId)
+      .catch((error) => {
+        logger.error('auth: unable to switch account', error)
+      })
+  })
 }
 
 /**
@@ -140,6 +197,21 @@ exports.getApiKeyFilepath = function () {
 exports.expose = function () {
   return {
     isAuthenticated: this.isAuthenticated(),
+    accountId: this.getActiveAccountId(),
+    expiredSession: this.expiredSession,
+    accounts: this.getSignedInAccountIds().map((accountId) => {
+      const {
+        login,
+        userInfo,
+      } = this.getAccount(accountId)
+
+      return {
+        accountId,
+        login,
+        nickname: userInfo ? userInfo.nickname : login,
+        avatar: userInfo ? userInfo.avatar : null,
+      }
+    }),
   }
 }
 
@@ -160,9 +232,11 @@ exports.sendLightObjectByIpc = function () {
  * @param {string} login User login
  * @param {string} password User password
  * @param {boolean} stayLoggedIn Keep apiKey for the next launch
- * @returns {Promise} User is logged or bad credentials
+ * @param {string} [code] One-time code, when the previous attempt required a second factor
+ * @param {boolean} [trustDevice] Do not ask for a code on the next logins from this device
+ * @returns {Promise} User is logged, bad credentials or a second factor is required
  */
-exports.login = function (login, password, stayLoggedIn) {
+exports.login = function (login, password, stayLoggedIn, code = null, trustDevice = false) {
   const {
     haapi,
     logger,
@@ -172,19 +246,54 @@ exports.login = function (login, password, stayLoggedIn) {
   } = this.modules
 
   const {
-    LAST_AUTHENTICATED_ACCOUNT_ID,
     LAST_AUTHENTICATED_LOGIN,
     STAY_LOGGED_IN,
   } = settings.KEYS
 
-  return haapi.get('ankama.api.createApiKey', login, password)
-    .then((apiKey) => {
-      this.apiKey = apiKey
-      this.sendLightObjectByIpc()
+  return this.getDeviceCertificate(login)
+    .then((deviceCertificate) => {
+      return haapi.get('ankama.api.createApiKey', login, password, code, deviceCertificate, trustDevice)
+        .catch((error) => {
+          // The device is no longer trusted
+          if (deviceCertificate && error.code === haapi.errors.SECOND_FACTOR_REQUIRED) {
+            return this.removeDeviceCertificate(login)
+              .then(() => {
+                throw error
+              })
+          }
+
+          throw error
+        })
+    })
+    .then(({key, accountId, refreshToken, expirationDate, certificate}) => {
+      const apiKey = {
+        key,
+        accountId,
+        refreshToken,
+        expirationDate,
+      }
+
+      if (certificate) {
+        this.storeDeviceCertificate(login, certificate)
+          .catch((error) => {
+            logger.error('auth: unable to store the device certificate', error)
+          })
+      }
 
       settings.set(LAST_AUTHENTICATED_LOGIN, login)
       settings.set(STAY_LOGGED_IN, stayLoggedIn)
 
+      this.saveAccount(apiKey.accountId, {
+        login,
+        stayLoggedIn,
+      })
+
+      this.expiredSession = null
+
+      return this.activateApiKey(apiKey)
+        .then(() => this.scheduleApiKeyRefresh(apiKey.accountId))
+    })
+    .then(() => {
       user.setOrigin()
         .then(() => {
           remoteCommunication.send(remoteCommunication.CHANNELS.USER_RELEASE_READY)
@@ -205,20 +314,103 @@ exports.login = function (login, password, stayLoggedIn) {
           logger.error('auth: unable to sign on with api key', error)
         })
 
-      if (stayLoggedIn) {
+      return this.storeApiKeys()
+    })
+}
+
+/**
+ * The Haapi session of the previous account is ended first, so that
+ * its last KPI events are still sent with its own API key.
+ *
+ * @summary Make an API key the one of the active account
+ * @param {Object} apiKey - the API key
+ * @returns {Promise} When the account is active
+ */
+exports.activateApiKey = function (apiKey) {
+  const {
+    kpi,
+    settings,
+  } = this.modules
+
+  const {
+    LAST_AUTHENTICATED_ACCOUNT_ID,
+    USER_INFO,
+  } = settings.KEYS
+
+  const previousAccountId = this.getActiveAccountId()
+  const endPreviousSession = previousAccountId && previousAccountId !== apiKey.accountId ?
+    kpi.end() :
+    Promise.resolve()
+
+  return endPreviousSession
+    .then(() => {
+      const account = this.getAccount(apiKey.accountId)
+
+      this.apiKeys[apiKey.accountId] = apiKey
+      this.apiKey = apiKey
+
+      // Show the last known info of the account until it is signed on
+      settings.set(USER_INFO, account.userInfo || {nickname: account.login})
+
+      if (account.stayLoggedIn) {
         settings.set(LAST_AUTHENTICATED_ACCOUNT_ID, apiKey.accountId)
-        return this.storeApiKey()
       }
+
+      this.sendLightObjectByIpc()
     })
 }
 
 /**
- * @summary Logout logged user
- * @returns {Promise} when user is logged out
+ * @summary Make another signed in account the active one
+ * @param {Number} accountId - id of the account
+ * @returns {Promise} When the account is active and signed on
  */
-exports.logout = function () {
+exports.switchAccount = function (accountId) {
   const {
-    fs,
+    logger,
+    remoteCommunication,
+    user,
+  } = this.modules
+
+  const {
+    APIKEY_NOT_FOUND,
+  } = errors
+
+  const apiKey = this.apiKeys[accountId]
+
+  if (!apiKey) {
+    return Promise.reject(new ZaapError(APIKEY_NOT_FOUND, `No API key for the account ${accountId}`, 'auth.error.accountNotSignedIn'))
+  }
+
+  if (accountId === this.getActiveAccountId()) {
+    return Promise.resolve()
+  }
+
+  return this.activateApiKey(apiKey)
+    .then(() => {
+      remoteCommunication.send(remoteCommunication.CHANNELS.USER_RELEASE_READY)
+
+      user.updateStatus()
+        .catch((error) => {
+          logger.error('auth: unable to update user status', error)
+        })
+
+      this.emit('account-switched', accountId)
+      return this.signOnWithApiKey()
+    })
+}
+
+/**
+ * When the active account logs out, the next signed in account becomes
+ * the active one, if any.
+ *
+ * @summary Logout an account
+ * @param {Number} [accountId] - id of the account, the active one by default
+ * @returns {Promise} when the account is logged out
+ */
+exports.logout = function (accountId = this.getActiveAccountId()) {
+  const {
+    credentialStore,
     logger,
     settings,
   } = this.modules
@@ -228,46 +420,172 @@ exports.logout = function () {
     LAST_AUTHENTICATED_ACCOUNT_ID,
   } = settings.KEYS
 
+  const isActiveAccount = accountId === this.getActiveAccountId()
+
   const postDeleteApiKey = () => {
-    const filepath = this.getApiKeyFilepath()
-    fs.unlink(filepath, (error) => {
-      if (error) {
-        logger.warn('auth: cannot delete api key file', error)
-      }
-    })
+    this.forgetApiKey(accountId)
+    this.removeAccount(accountId)
+
+    const nextAccountId = this.getSignedInAccountIds()[0]
+
+    if (isActiveAccount && nextAccountId) {
+      this.apiKey = null
+      return this.switchAccount(nextAccountId)
+        .then(() => this.storeApiKeys())
+    }
+
+    if (nextAccountId) {
+      this.sendLightObjectByIpc()
+      return this.storeApiKeys()
+    }
+
+    credentialStore.delete(API_KEYS_CREDENTIAL)
+      .catch((error) => {
+        logger.warn('auth: cannot delete the stored api keys', error)
+      })
     this.apiKey = null
     this.sendLightObjectByIpc()
     settings.delete(LAST_AUTHENTICATED_ACCOUNT_ID)
     settings.delete(USER_INFO)
   }
 
-  const deleteApiKeyPromise = this.deleteApiKey()
+  const deleteApiKeyPromise = this.deleteApiKey(accountId)
 
   return deleteApiKeyPromise
-    .then(postDeleteApiKey)
-    .catch(postDeleteApiKey)
+    .then(postDeleteApiKey, postDeleteApiKey)
 }
 
 /**
- * @summary Store an API key into the OS password manager
- * @returns {undefined} void
+ * Only the keys of the accounts which stay logged in are stored.
+ *
+ * @summary Store the API keys into the OS password manager
+ * @returns {Promise} When the keys are stored
  */
-exports.storeApiKey = function () {
+exports.storeApiKeys = function () {
   const {
-    cryptoHelper,
+    credentialStore,
+    logger,
   } = this.modules
 
   const {
     UNABLE_TO_STORE_APIKEY,
   } = errors
 
-  const filepath = this.getApiKeyFilepath()
-  return cryptoHelper.encryptToFileWithUUID(filepath, this.apiKey)
+  const apiKeys = {}
+  this.getSignedInAccountIds()
+    .filter((accountId) => this.getAccount(accountId).stayLoggedIn)
+    .forEach((accountId) => {
+      apiKeys[accountId] = this.apiKeys[accountId]
+    })
+
+  if (Object.keys(apiKeys).length === 0) {
+    return credentialStore.delete(API_KEYS_CREDENTIAL)
+      .catch((error) => {
+        logger.warn('auth: cannot delete the stored api keys', error)
+      })
+  }
+
+  return credentialStore.set(API_KEYS_CREDENTIAL, apiKeys)
     .catch((error) => {
       throw new ZaapError(UNABLE_TO_STORE_APIKEY, `Unable to store API key : ${error.message}`)
     })
 }
 
+/**
+ * Files written before the launcher handled several accounts hold
+ * a single API key.
+ *
+ * @summary Read the stored API keys
+ * @returns {Promise<Object>} The API keys, by account id
+ */
+exports.readStoredApiKeys = function () {
+  const {
+    credentialStore,
+  } = this.modules
+
+  return credentialStore.get(API_KEYS_CREDENTIAL)
+    .then((data) => {
+      if (data && data.key) {
+        return {[data.accountId]: data}
+      }
+
+      return data || {}
+    })
+}
+
+/**
+ * @summary Read the certificates of the accounts which trust this device
+ * @returns {Promise<Object>} The certificates, by login
+ */
+exports.readDeviceCertificates = function () {
+  const {
+    credentialStore,
+  } = this.modules
+
+  return credentialStore.get(DEVICE_CERTIFICATES_CREDENTIAL)
+    .then((certificates) => certificates || {})
+}
+
+/**
+ * @summary Get the certificate of an account which trusts this device
+ * @param {string} login Login of the account
+ * @returns {Promise<Object|null>} The certificate, as { id, hash }, null if the device is not trusted
+ */
+exports.getDeviceCertificate = function (login) {
+  const {
+    logger,
+  } = this.modules
+
+  return this.readDeviceCertificates()
+    .then((certificates) => certificates[login.toLowerCase()] || null)
+    .catch((error) => {
+      // A code will be asked again
+      logger.warn('auth: unable to read the device certificates', error)
+      return null
+    })
+}
+
+/**
+ * @summary Store the certificate of an account which trusts this device
+ * @param {string} login Login of the account
+ * @param {Object} certificate The certificate, as { id, hash }
+ * @returns {Promise} Resolved when the certificate is stored
+ */
+exports.storeDeviceCertificate = function (login, certificate) {
+  const {
+    credentialStore,
+  } = this.modules
+
+  return this.readDeviceCertificates()
+    .catch(() => ({}))
+    .then((certificates) => {
+      certificates[login.toLowerCase()] = certificate
+      return credentialStore.set(DEVICE_CERTIFICATES_CREDENTIAL, certificates)
+    })
+}
+
+/**
+ * @summary Remove the certificate of an account, a code will be asked on its next login
+ * @param {string} login Login of the account
+ * @returns {Promise} Resolved when the certificate is removed
+ */
+exports.removeDeviceCertificate = function (login) {
+  const {
+    credentialStore,
+    logger,
+  } = this.modules
+
+  return this.readDeviceCertificates()
+    .catch(() => ({}))
+    .then((certificates) => {
+      delete certificates[login.toLowerCase()]
+      return credentialStore.set(DEVICE_CERTIFICATES_CREDENTIAL, certificates)
+    })
+    .catch((error) => {
+      logger.warn('auth: unable to remove the device certificate', error)
+    })
+}
+
 /**
  * @summary Sign on with api key, start KPI and update user info
  * @returns {Promise} When user is signed on
@@ -276,12 +594,22 @@ exports.signOnWithApiKey = function () {
   const {
     kpi,
     logger,
+    settings,
     user,
   } = this.modules
 
+  const accountId = this.getActiveAccountId()
+
   return kpi.signOn()
-    .then(({account}) => {
-      user.setInfo(account)
+    .then(({account}) => user.setInfo(account))
+    .then(() => {
+      // The account may have been switched in the meantime
+      if (accountId === this.getActiveAccountId()) {
+        this.saveAccount(accountId, {
+          userInfo: settings.get(settings.KEYS.USER_INFO),
+        })
+        this.sendLightObjectByIpc()
+      }
     })
     .catch((error) => {
       logger.error('auth: cannot sign on with api key', error)
@@ -295,7 +623,6 @@ exports.signOnWithApiKey = function () {
 exports.authenticateFromStoredApiKey = function () {
   const {
     settings,
-    cryptoHelper,
     kpi,
     logger,
     user,
@@ -303,6 +630,8 @@ exports.authenticateFromStoredApiKey = function () {
 
   const {
     LAST_AUTHENTICATED_ACCOUNT_ID,
+    LAST_AUTHENTICATED_LOGIN,
+    USER_INFO,
   } = settings.KEYS
 
   const accountId = settings.get(LAST_AUTHENTICATED_ACCOUNT_ID)
@@ -311,11 +640,9 @@ exports.authenticateFromStoredApiKey = function () {
     return new Promise((resolve) => resolve())
   }
 
-  const filepath = this.getApiKeyFilepath()
-
   // Always resolve as this feature is non-blocking
   return new Promise((resolve) => {
-    const decryptPromise = cryptoHelper.decryptFromFileWithUUID(filepath)
+    const decryptPromise = this.readStoredApiKeys()
     // Catch decrypt specific errors first
     decryptPromise
       .catch((error) => {
@@ -323,10 +650,45 @@ exports.authenticateFromStoredApiKey = function () {
         resolve()
       })
 
-    // Manage the decrypted apikey
+    // Manage the decrypted apikeys
     decryptPromise
-      .then((apiKey) => {
-        this.apiKey = apiKey
+      .then((apiKeys) => {
+        Object.keys(apiKeys).forEach((storedAccountId) => {
+          const apiKey = apiKeys[storedAccountId]
+
+          // The account of a key stored by a previous version of the launcher is not listed yet
+          if (!this.hasAccount(apiKey.accountId)) {
+            this.saveAccount(apiKey.accountId, {
+              login: settings.get(LAST_AUTHENTICATED_LOGIN),
+              stayLoggedIn: true,
+              userInfo: apiKey.accountId === accountId ? settings.get(USER_INFO) : null,
+            })
+          }
+
+          this.apiKeys[apiKey.accountId] = apiKey
+
+          // The key of the active account is refreshed right away, as the launcher starts
+          if (apiKey.accountId === accountId) {
+            this.scheduleApiKeyRefresh(apiKey.accountId, 0)
+          } else {
+            this.scheduleApiKeyRefresh(apiKey.accountId)
+          }
+        })
+
+        if (Object.keys(apiKeys).length === 0) {
+          throw new Error('no API key stored')
+        }
+
+        this.apiKey = this.apiKeys[accountId] || apiKeys[Object.keys(apiKeys)[0]]
+
+        const {
+          userInfo,
+        } = this.getAccount(this.apiKey.accountId)
+
+        if (userInfo) {
+          settings.set(USER_INFO, userInfo)
+        }
+
         this.sendLightObjectByIpc()
 
         user.updateStatus()
@@ -338,7 +700,6 @@ exports.authenticateFromStoredApiKey = function () {
 
         return kpi.signOn()
       })
-      .then(() => this.refreshApiKey())
       .then(resolve)
       .catch((error) => {
         logger.warn(`auth: Unable to authenticateFromStoredApiKey: ${error.message}`)
@@ -348,38 +709,192 @@ exports.authenticateFromStoredApiKey = function () {
 }
 
 /**
- * @summary Refresh the api key
+ * A failed refresh is retried later, the delay getting longer each time
+ * it fails again. A key rejected by Haapi is not retried: its session is
+ * expired by `haapi.get`.
+ *
+ * @summary Refresh the api key of an account
+ * @param {Number} [accountId] - id of the account, the active one by default
  * @returns {Promise} When api key is refreshed
  */
-exports.refreshApiKey = function () {
+exports.refreshApiKey = function (accountId = this.getActiveAccountId()) {
   const {
     haapi,
     logger,
   } = this.modules
 
-  return haapi.get('ankama.api.refreshApiKey')
-    .then(({refreshToken}) => {
-      this.apiKey.refreshToken = refreshToken
-      return this.storeApiKey()
+  if (!this.apiKeys[accountId]) {
+    return Promise.resolve()
+  }
+
+  const refresh = this.apiKeyRefreshes[accountId]
+  if (refresh) {
+    clearTimeout(refresh.timeout)
+  }
+
+  return haapi.get('ankama.api.refreshApiKey', accountId)
+    .then(({key, refreshToken, expirationDate}) => {
+      const apiKey = this.apiKeys[accountId]
+
+      // The account may have logged out in the meantime
+      if (!apiKey) {
+        return
+      }
+
+      apiKey.key = key || apiKey.key
+      apiKey.refreshToken = refreshToken
+      apiKey.expirationDate = expirationDate
+      this.scheduleApiKeyRefresh(accountId)
+
+      return this.storeApiKeys()
     })
     .catch((error) => {
       logger.error('auth: unable to refresh api key', error)
+
+      if (!this.apiKeys[accountId]) {
+        return
+      }
+
+      const failuresCount = this.apiKeyRefreshes[accountId] ? this.apiKeyRefreshes[accountId].failuresCount + 1 : 1
+      const retryDelay = Math.min(
+        API_KEY_REFRESH_MIN_RETRY_DELAY_IN_MS * Math.pow(2, failuresCount - 1),
+        API_KEY_REFRESH_MAX_RETRY_DELAY_IN_MS
+      )
+      this.scheduleApiKeyRefresh(accountId, retryDelay, failuresCount)
+    })
+}
+
+/**
+ * @summary Get the delay before the api key of an account must be refreshed
+ * @param {Number} accountId - id of the account
+ * @returns {Number} the delay, in milliseconds
+ */
+exports.getApiKeyRefreshDelay = function (accountId) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  const {
+    expirationDate,
+  } = this.apiKeys[accountId]
+
+  if (!expirationDate) {
+    return API_KEY_DEFAULT_REFRESH_INTERVAL_IN_MS
+  }
+
+  return Math.max(expirationDate - API_KEY_REFRESH_MARGIN_IN_MS - getDateNow(), 0)
+}
+
+/**
+ * @summary Schedule the refresh of the api key of an account, replacing the one already scheduled
+ * @param {Number} accountId - id of the account
+ * @param {Number} [delay] - delay before the refresh, in milliseconds, by default the one before the key expires
+ * @param {Number} [failuresCount] - number of refreshes which failed in a row
+ * @returns {undefined} void
+ */
+exports.scheduleApiKeyRefresh = function (accountId, delay = this.getApiKeyRefreshDelay(accountId), failuresCount = 0) {
+  this.cancelApiKeyRefresh(accountId)
+
+  this.apiKeyRefreshes[accountId] = {
+    // Longer delays are shortened, the key is then refreshed earlier than needed
+    timeout: setTimeout(() => {
+      this.refreshApiKey(accountId)
+    }, Math.min(delay, MAX_TIMEOUT_DELAY_IN_MS)),
+    failuresCount,
+  }
+}
+
+/**
+ * @summary Cancel the refresh of the api key of an account
+ * @param {Number} accountId - id of the account
+ * @returns {undefined} void
+ */
+exports.cancelApiKeyRefresh = function (accountId) {
+  const refresh = this.apiKeyRefreshes[accountId]
+
+  if (refresh) {
+    clearTimeout(refresh.timeout)
+    delete this.apiKeyRefreshes[accountId]
+  }
+}
+
+/**
+ * @summary Retry right away the refreshes which failed
+ * @returns {undefined} void
+ */
+exports.retryApiKeyRefreshes = function () {
+  Object.keys(this.apiKeyRefreshes)
+    .filter((accountId) => this.apiKeyRefreshes[accountId].failuresCount > 0)
+    .forEach((accountId) => {
+      this.refreshApiKey(Number(accountId))
     })
 }
 
+/**
+ * The key of the account is forgotten without being deleted on Haapi,
+ * which no longer accepts it. The light object tells the renderer
+ * process that the user must sign in again.
+ *
+ * @summary End the session of an account whose api key is no longer valid
+ * @param {Number} [accountId] - id of the account, the active one by default
+ * @returns {Promise} When the session is ended
+ */
+exports.expireSession = function (accountId = this.getActiveAccountId()) {
+  const {
+    logger,
+    settings,
+  } = this.modules
+
+  const {
+    USER_INFO,
+    LAST_AUTHENTICATED_ACCOUNT_ID,
+  } = settings.KEYS
+
+  if (!this.apiKeys[accountId]) {
+    return Promise.resolve()
+  }
+
+  logger.warn(`auth: the session of the account ${accountId} has expired`)
+
+  const isActiveAccount = accountId === this.getActiveAccountId()
+
+  this.expiredSession = {
+    accountId,
+    login: this.getAccount(accountId).login,
+  }
+  this.forgetApiKey(accountId)
+  this.removeAccount(accountId)
+
+  const nextAccountId = this.getSignedInAccountIds()[0]
+
+  if (isActiveAccount && nextAccountId) {
+    return this.switchAccount(nextAccountId)
+      .then(() => this.storeApiKeys())
+  }
+
+  if (isActiveAccount) {
+    settings.delete(LAST_AUTHENTICATED_ACCOUNT_ID)
+    settings.delete(USER_INFO)
+  }
+
+  this.sendLightObjectByIpc()
+  return this.storeApiKeys()
+}
+
 /**
  * @summary delete the api key
+ * @param {Number} [accountId] - id of the account, the active one by default
  * @returns {Promise} void
  */
-exports.deleteApiKey = function () {
+exports.deleteApiKey = function (accountId = this.getActiveAccountId()) {
   const {
     haapi,
     logger,
   } = this.modules
 
-  return haapi.get('ankama.api.deleteApiKey')
+  return haapi.get('ankama.api.deleteApiKey', accountId)
     .then(() => {
-      this.apiKey = null
+      this.forgetApiKey(accountId)
       logger.info('auth: api key deleted')
     })
     .catch((error) => {
@@ -388,6 +903,132 @@ exports.deleteApiKey = function () {
     })
 }
 
+/**
+ * @summary Forget the api key of an account, without deleting it on Haapi
+ * @param {Number} accountId - id of the account
+ * @returns {undefined} void
+ */
+exports.forgetApiKey = function (accountId) {
+  const {
+    serviceEvents,
+  } = this.modules
+
+  this.cancelApiKeyRefresh(accountId)
+
+  // A logout forgets the api key both once it is deleted and once the account is removed
+  if (this.apiKeys[accountId]) {
+    serviceEvents.publish(serviceEvents.TYPES.LOGGED_OUT, {
+      accountId,
+    }, (subscription) => subscription.accountId === accountId)
+  }
+
+  if (accountId === this.getActiveAccountId()) {
+    this.apiKey = null
+  }
+
+  delete this.apiKeys[accountId]
+}
+
+/**
+ * @summary Get the api key of an account
+ * @param {Number} [accountId] - id of the account, the active one by default
+ * @returns {Object|null} the api key, null if the account is not signed in
+ */
+exports.getApiKey = function (accountId) {
+  if (!accountId) {
+    return this.apiKey
+  }
+
+  return this.apiKeys[accountId] || null
+}
+
+/**
+ * @summary Get the id of the active account
+ * @returns {Number|null} the account id, null if no account is signed in
+ */
+exports.getActiveAccountId = function () {
+  return this.apiKey ? this.apiKey.accountId : null
+}
+
+/**
+ * @summary Get the ids of the signed in accounts, in the order they were added
+ * @returns {Array<Number>} the account ids
+ */
+exports.getSignedInAccountIds = function () {
+  return this.getAccounts()
+    .map((account) => account.accountId)
+    .filter((accountId) => !!this.apiKeys[accountId])
+}
+
+/**
+ * @summary Get the accounts known by the launcher
+ * @returns {Array<Object>} the accounts, as { accountId, login, stayLoggedIn, userInfo }
+ */
+exports.getAccounts = function () {
+  const {
+    settings,
+  } = this.modules
+
+  return settings.get(settings.KEYS.ACCOUNTS) || []
+}
+
+/**
+ * @summary Check if an account is known by the launcher
+ * @param {Number} accountId - id of the account
+ * @returns {boolean} true if the account is known
+ */
+exports.hasAccount = function (accountId) {
+  return this.getAccounts().some((account) => account.accountId === accountId)
+}
+
+/**
+ * @summary Get an account known by the launcher
+ * @param {Number} accountId - id of the account
+ * @returns {Object} the account, an empty account if it is unknown
+ */
+exports.getAccount = function (accountId) {
+  return this.getAccounts().find((account) => account.accountId === accountId) || {
+    accountId,
+    login: null,
+    stayLoggedIn: false,
+    userInfo: null,
+  }
+}
+
+/**
+ * @summary Add an account or update it
+ * @param {Number} accountId - id of the account
+ * @param {Object} data - the properties to update
+ * @returns {undefined} void
+ */
+exports.saveAccount = function (accountId, data) {
+  const {
+    settings,
+  } = this.modules
+
+  const account = Object.assign(this.getAccount(accountId), data)
+  const accounts = this.getAccounts().filter((account) => account.accountId !== accountId)
+
+  // Keep the order in which the accounts were added
+  const index = this.getAccounts().findIndex((account) => account.accountId === accountId)
+  accounts.splice(index === -1 ? accounts.length : index, 0, account)
+
+  settings.set(settings.KEYS.ACCOUNTS, accounts)
+}
+
+/**
+ * @summary Remove an account
+ * @param {Number} accountId - id of the account
+ * @returns {undefined} void
+ */
+exports.removeAccount = function (accountId) {
+  const {
+    settings,
+  } = this.modules
+
+  settings.set(settings.KEYS.ACCOUNTS, this.getAccounts().filter((account) => account.accountId !== accountId))
+}
+
 /**
  * @summary Lets know if an user is already authenticated
  * @returns {boolean} True if user is authenticated
@@ -399,12 +1040,21 @@ exports.isAuthenticated = function () {
 /**
  * @summary Create token
  * @param {Number} gameId The game id
+ * @param {Number} [accountId] The account to create the token for, the active one by default
  * @return {Promise} When token is created
  */
-exports.createToken = function (gameId) {
+exports.createToken = function (gameId, accountId) {
   const {
     haapi,
   } = this.modules
 
-  return haapi.get('ankama.account.createToken', gameId)
+  const {
+    APIKEY_NOT_FOUND,
+  } = errors
+
+  if (!this.getApiKey(accountId)) {
+    return Promise.reject(new ZaapError(APIKEY_NOT_FOUND, `No API key for the account ${accountId}`, 'auth.error.accountNotSignedIn'))
+  }
+
+  return haapi.get('ankama.account.createToken', gameId, accountId)
 }
@@ -0,0 +1,110 @@
+/**
+ * The bandwidth limiter caps the overall download speed of
+ * the update process.
+ *
+ * It is a token bucket shared by all the concurrent fetches: each
+ * received chunk consumes tokens, and when the bucket is empty the
+ * fetch is told how long it must wait before reading more data.
+ *
+ * The limit is read every time a chunk is consumed, so changing
+ * the launcher setting or the override of the current update
+ * applies immediately to running downloads.
+ *
+ * @module zaap/bandwidthLimiter
+ */
+const inject = require('instill')
+
+/* istanbul ignore next */
+inject(exports, {
+  settings: require('./settings'),
+  // We encapsulate in a function to avoid circular dependencies issues
+  getUpdateQueue: () => require('./updater/updateQueue'),
+  getDateNow: () => Date.now(),
+})
+
+/**
+ * @property {Number} globalLimit The launcher-wide limit in bytes per second (0 means unlimited).
+ */
+exports.globalLimit = 0
+
+/**
+ * @property {Number} tokens Number of bytes which can be downloaded without waiting.
+ */
+exports.tokens = 0
+
+/**
+ * @property {Number|null} lastRefillDate Last time the bucket was refilled.
+ */
+exports.lastRefillDate = null
+
+/**
+ * @summary Setup the limiter and keep the global limit in sync with the settings
+ * @returns {undefined} void
+ */
+exports.setup = function () {
+  const {
+    settings,
+  } = this.modules
+
+  const {
+    DOWNLOAD_BANDWIDTH_LIMIT,
+  } = settings.KEYS
+
+  this.globalLimit = settings.get(DOWNLOAD_BANDWIDTH_LIMIT) || 0
+  settings.watch(DOWNLOAD_BANDWIDTH_LIMIT, (newValue) => {
+    this.globalLimit = newValue || 0
+  })
+}
+
+/**
+ * The override of the update has precedence over the launcher setting.
+ *
+ * @summary Get the limit to apply
+ * @param {Update} [update] - the update to get the limit for, defaults to the current update of the queue
+ * @returns {Number} the limit in bytes per second (0 means unlimited)
+ */
+exports.getLimit = function (update = this.modules.getUpdateQueue().currentUpdate) {
+  if (update && update.bandwidthLimit !== null && update.bandwidthLimit !== undefined) {
+    return update.bandwidthLimit
+  }
+
+  return this.globalLimit
+}
+
+/**
+ * The bucket holds at most one second worth of data, so a burst never
+ * exceeds the limit for more than a second.
+ *
+ * @summary Consume tokens for downloaded bytes
+ * @param {Number} bytes - number of bytes which have been downloaded
+ * @returns {Number} delay in milliseconds to wait before downloading more data
+ */
+exports.consume = function (bytes) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  const limit = this.getLimit()
+  const now = getDateNow()
+
+  if (!limit) {
+    this.tokens = 0
+    this.lastRefillDate = null
+    return 0
+  }
+
+  if (this.lastRefillDate === null) {
+    this.tokens = limit
+  } else {
+    this.tokens = Math.min(limit, this.tokens + (now - this.lastRefillDate) * limit / 1000)
+  }
+
+  this.lastRefillDate = now
+  this.tokens -= bytes
+
+  if (this.tokens >= 0) {
+    return 0
+  }
+
+  return Math.ceil(-this.tokens * 1000 / limit)
+}
@@ -0,0 +1,81 @@
+/**
+ * Certificate pinning restricts the certificates accepted for the hosts
+ * listed in the `cytrus.certificatePins` entry of the build config:
+ *
+ *   "certificatePins": {
+ *     "cytrus.example.com": ["sha256/<base64 fingerprint>", ...]
+ *   }
+ *
+ * A host may have several fingerprints, so that a certificate can be
+ * renewed without breaking the launchers already installed. The
+ * certificates of the other hosts are verified as usual.
+ *
+ * Pins apply to the requests made by Electron, such as the manifests of
+ * the repository. The files of the releases are downloaded with Node.js;
+ * they are checked against the hashes of the signed manifests instead.
+ *
+ * @module zaap/certificatePinning
+ */
+const inject = require('instill')
+const logger = require('./logger')
+
+/* istanbul ignore next */
+inject(exports, {
+  buildConfig: require('./buildConfig'),
+  // The session is only available once the app is ready
+  getSession: () => require('electron').session.defaultSession,
+})
+
+// Results expected by the certificate verify procedure of Electron
+const CERTIFICATE_ACCEPTED = 0
+const CERTIFICATE_REJECTED = -2
+const CERTIFICATE_DEFAULT_VERIFICATION = -3
+
+/**
+ * @summary Verify the certificates of the pinned hosts, must be called once the app is ready
+ * @returns {undefined} void
+ */
+exports.setup = function () {
+  const {
+    buildConfig,
+    getSession,
+  } = this.modules
+
+  const pins = (buildConfig.cytrus && buildConfig.cytrus.certificatePins) || {}
+
+  if (Object.keys(pins).length === 0) {
+    return
+  }
+
+  getSession().setCertificateVerifyProc((request, callback) => {
+    callback(this.verify(pins, request))
+  })
+}
+
+/**
+ * @summary Verify the certificate of a request
+ * @param {Object} pins - fingerprints of the certificates, by host
+ * @param {Object} request - request received by the certificate verify procedure
+ * @returns {Number} the verification result
+ */
+exports.verify = function (pins, {
+  hostname,
+  certificate,
+  verificationResult,
+}) {
+  const hostPins = pins[hostname]
+
+  if (!hostPins) {
+    return CERTIFICATE_DEFAULT_VERIFICATION
+  }
+
+  if (verificationResult !== 'net::OK' || !hostPins.includes(certificate.fingerprint)) {
+    logger.error(`certificatePinning: certificate rejected for ${hostname}`, {
+      fingerprint: certificate.fingerprint,
+      verificationResult,
+    })
+    return CERTIFICATE_REJECTED
+  }
+
+  return CERTIFICATE_ACCEPTED
+}
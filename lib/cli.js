@@ -0,0 +1,625 @@
+/**
+ * Headless command-line interface.
+ *
+ * Allows to drive the releases managed by the games registry without
+ * opening any window, for instance on build machines or from scripts:
+ *
+ *   zaap release install dofus main --location /games/dofus
+ *   zaap release install dofus main --location /games/dofus --bundle /media/usb/dofus
+ *   zaap release update dofus main
+ *   zaap release repair dofus main
+ *   zaap release verify dofus main
+ *   zaap release start dofus main --instances 2
+ *   zaap release move dofus main --location /other/dofus
+ *   zaap release uninstall dofus main
+ *   zaap release export dofus main --destination /media/usb/dofus
+ *   zaap release playtime dofus main --destination /reports/dofus-playtime.csv
+ *
+ * Progress is printed on the standard output, errors on the standard
+ * error output, and the process exits with one of `EXIT_CODES`. The
+ * updates started from the command line ignore the update schedule.
+ *
+ * @module zaap/cli
+ */
+const inject = require('instill')
+const promiseHelper = require('./promiseHelper')
+const ACTION_TYPES = require('./updater/actions/updateActionTypes')
+
+/* istanbul ignore next */
+inject(exports, {
+  logger: require('./logger'),
+  connectivity: require('./connectivity'),
+  registry: require('./games/registry'),
+  updateQueue: require('./updater/updateQueue'),
+  bundle: require('./updater/bundle'),
+  // We encapsulate in functions to only load them when a game needs to be started
+  getAuth: () => require('./auth'),
+  getService: () => require('./service'),
+  stdout: process.stdout,
+  stderr: process.stderr,
+  CONNECTIVITY_TIMEOUT_IN_MS: 30 * 1000,
+  PROGRESS_INTERVAL_IN_MS: 1000,
+})
+
+// Errors
+const {
+  errors,
+  ZaapError,
+} = require('./errors').register('CLI', {
+  INVALID_ARGUMENTS: 14000,
+  RELEASE_NOT_FOUND: 14001,
+  OFFLINE: 14002,
+  UPDATE_CANCELED: 14003,
+})
+
+exports.errors = errors
+
+// Why an update is paused, by updateQueue and updateSchedule PAUSE_REASONS
+const PAUSE_REASON_DESCRIPTIONS = {
+  offline: 'waiting for the network',
+  autoUpdate: 'waiting for the launcher update to be downloaded',
+  outsideUpdateWindow: 'waiting for the next update window',
+  gameRunning: 'waiting for the running games to exit',
+}
+
+exports.COMMAND = 'release'
+
+// Print the export progress every n copied files
+const EXPORT_PROGRESS_FILES_STEP = 100
+
+// Print the verification progress every n checked files
+const VERIFY_PROGRESS_FILES_STEP = 1000
+
+exports.ACTIONS = {
+  INSTALL: 'install',
+  UPDATE: 'update',
+  REPAIR: 'repair',
+  VERIFY: 'verify',
+  START: 'start',
+  MOVE: 'move',
+  UNINSTALL: 'uninstall',
+  EXPORT: 'export',
+  PLAYTIME: 'playtime',
+}
+
+exports.EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  INVALID_ARGUMENTS: 2,
+}
+
+const USAGE = [
+  'Usage: zaap release <action> <gameUid> <releaseName> [options]',
+  '',
+  'Actions:',
+  '  install      Install the release (requires --location)',
+  '  update       Update the release to the latest version',
+  '  repair       Check every file of the release and download the invalid ones',
+  '  verify       Check the files modified since they were downloaded, and repair if needed',
+  '  start        Start the release and wait for all its instances to exit',
+  '  move         Move the release to another folder (requires --location)',
+  '  uninstall    Remove the release from the disk',
+  '  export       Export the installed release as a bundle (requires --destination)',
+  '  playtime     Print the playtime of the release and export its sessions as CSV (requires --destination)',
+  '',
+  'Options:',
+  '  --location <path>    Target folder for install and move',
+  '  --bundle <path>      Install from a bundle instead of the repository, works offline',
+  '  --destination <path> Empty folder in which to export the bundle, or CSV file in which to export the sessions',
+  '  --instances <count>  Number of instances to start (default: 1)',
+  '  --bandwidth-limit <bytes/s>  Download speed limit for install, update and repair',
+].join('\n')
+
+/**
+ * `argv` is expected to be `process.argv`: everything before
+ * the `release` command (electron binary, app path, switches) is ignored.
+ *
+ * @summary Parse the command line arguments
+ * @param {Array} argv - command line arguments
+ * @returns {Object|null} The parsed command, or null if zaap was not started as a CLI
+ */
+exports.parseArguments = function (argv) {
+  const commandIndex = argv.indexOf(this.COMMAND)
+
+  if (commandIndex === -1) {
+    return null
+  }
+
+  const args = argv.slice(commandIndex + 1)
+  const positionals = []
+  const options = {}
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i]
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg)
+      continue
+    }
+
+    const separatorIndex = arg.indexOf('=')
+    if (separatorIndex !== -1) {
+      options[arg.substring(2, separatorIndex)] = arg.substring(separatorIndex + 1)
+    } else {
+      options[arg.substring(2)] = args[i + 1]
+      i += 1
+    }
+  }
+
+  const [action, gameUid, releaseName] = positionals
+
+  return {
+    action,
+    gameUid,
+    releaseName,
+    location: options.location,
+    bundle: options.bundle,
+    destination: options.destination,
+    instances: options.instances === undefined ? 1 : Number(options.instances),
+    bandwidthLimit: options['bandwidth-limit'] === undefined ? null : Number(options['bandwidth-limit']),
+  }
+}
+
+/**
+ * @summary Check that a parsed command can be run
+ * @param {Object} command - command returned by parseArguments
+ * @returns {undefined} void
+ */
+exports.validate = function (command) {
+  const {
+    INVALID_ARGUMENTS,
+  } = errors
+
+  const actions = Object.keys(this.ACTIONS).map(key => this.ACTIONS[key])
+
+  if (!actions.includes(command.action)) {
+    throw new ZaapError(INVALID_ARGUMENTS, `Unknown action: ${command.action}`)
+  }
+
+  if (!command.gameUid || !command.releaseName) {
+    throw new ZaapError(INVALID_ARGUMENTS, 'A gameUid and a release name are required')
+  }
+
+  if ([this.ACTIONS.INSTALL, this.ACTIONS.MOVE].includes(command.action) && !command.location) {
+    throw new ZaapError(INVALID_ARGUMENTS, `--location is required to ${command.action} a release`)
+  }
+
+  if (command.action === this.ACTIONS.EXPORT && !command.destination) {
+    throw new ZaapError(INVALID_ARGUMENTS, '--destination is required to export a release')
+  }
+
+  if (command.action === this.ACTIONS.PLAYTIME && !command.destination) {
+    throw new ZaapError(INVALID_ARGUMENTS, '--destination is required to export the playtime of a release')
+  }
+
+  if (command.bundle && command.action !== this.ACTIONS.INSTALL) {
+    throw new ZaapError(INVALID_ARGUMENTS, '--bundle can only be used to install a release')
+  }
+
+  if (!Number.isInteger(command.instances) || command.instances < 1) {
+    throw new ZaapError(INVALID_ARGUMENTS, '--instances must be a positive integer')
+  }
+
+  if (command.bandwidthLimit !== null && (!Number.isInteger(command.bandwidthLimit) || command.bandwidthLimit < 0)) {
+    throw new ZaapError(INVALID_ARGUMENTS, '--bandwidth-limit must be a number of bytes per second')
+  }
+}
+
+/**
+ * Only the data which is needed to run the command is loaded:
+ * the games registry, and the service API when a game is started.
+ *
+ * @summary Run a parsed command
+ * @param {String} server - HTTP/S URL to the remote repository.
+ * @param {Object} command - command returned by parseArguments
+ * @returns {Promise<Number>} Promise resolved with the exit code
+ */
+exports.run = function (server, command) {
+  const {
+    logger,
+    connectivity,
+  } = this.modules
+
+  const {
+    INVALID_ARGUMENTS,
+  } = errors
+
+  return promiseHelper.promiseTry(() => {
+    this.validate(command)
+
+    connectivity.watch(server)
+
+    return this.setupRegistry(server, command)
+  })
+    .then(() => {
+      const release = this.getRelease(command.gameUid, command.releaseName)
+      return this.execute(release, command)
+    })
+    .then(() => {
+      this.print(`${command.gameUid}/${command.releaseName}: ${command.action} done`)
+      return this.EXIT_CODES.SUCCESS
+    })
+    .catch((error) => {
+      logger.error('cli: command failed', error)
+      this.printError(`${command.gameUid}/${command.releaseName}: ${command.action} failed: ${error.message}`)
+
+      if (error.code === INVALID_ARGUMENTS) {
+        this.printError(USAGE)
+        return this.EXIT_CODES.INVALID_ARGUMENTS
+      }
+
+      return this.EXIT_CODES.FAILURE
+    })
+}
+
+/**
+ * Actions which need to download files wait to be online, and
+ * refresh the games list so that we target the latest version.
+ *
+ * Installs from a bundle do not need the network: if the release is
+ * not known yet, it is loaded in the games registry from the bundle.
+ *
+ * @summary Setup the update queue and the games registry
+ * @param {String} server - HTTP/S URL to the remote repository.
+ * @param {Object} command - command returned by parseArguments
+ * @returns {Promise} Promise resolved once the releases are loaded
+ */
+exports.setupRegistry = function (server, command) {
+  const {
+    registry,
+    updateQueue,
+  } = this.modules
+
+  const needsNetwork = [
+    this.ACTIONS.INSTALL,
+    this.ACTIONS.UPDATE,
+    this.ACTIONS.REPAIR,
+    // a repair is started if some files are invalid
+    this.ACTIONS.VERIFY,
+    this.ACTIONS.EXPORT,
+  ].includes(command.action) && !command.bundle
+
+  updateQueue.setup()
+
+  return (needsNetwork ? this.waitForConnectivity() : Promise.resolve())
+    .then(() => new Promise((resolve, reject) => {
+      registry.setup(server, (error) => {
+        if (command.bundle) {
+          return this.importBundleGame(command).then(resolve, reject)
+        }
+
+        if (error) {
+          return reject(error)
+        }
+
+        if (!needsNetwork) {
+          return resolve()
+        }
+
+        registry.loadRepositoryDataFromRepository((error) => error ? reject(error) : resolve())
+      })
+    }))
+}
+
+/**
+ * @summary Load the release of a bundle in the games registry if it is not known yet
+ * @param {Object} command - command returned by parseArguments
+ * @returns {Promise} Promise resolved once the release is in the games registry
+ */
+exports.importBundleGame = function (command) {
+  const {
+    registry,
+    bundle,
+  } = this.modules
+
+  const {
+    gameUid,
+    releaseName,
+  } = command
+
+  if (registry.isGameExist(gameUid) && registry.getGame(gameUid).isReleaseExist(releaseName)) {
+    return Promise.resolve()
+  }
+
+  return bundle.open(command.bundle, gameUid, releaseName)
+    .then(({ manifest }) => new Promise((resolve, reject) => {
+      const {
+        name,
+        game,
+      } = manifest.repository
+
+      registry.importGame(name, gameUid, game, (error) => error ? reject(error) : resolve())
+    }))
+}
+
+/**
+ * @summary Wait until we are online
+ * @returns {Promise} Promise rejected if we are still offline after CONNECTIVITY_TIMEOUT_IN_MS
+ */
+exports.waitForConnectivity = function () {
+  const {
+    connectivity,
+    CONNECTIVITY_TIMEOUT_IN_MS,
+  } = this.modules
+
+  const {
+    OFFLINE,
+  } = errors
+
+  if (connectivity.isOnline) {
+    return Promise.resolve()
+  }
+
+  return new Promise((resolve, reject) => {
+    const onOnline = () => {
+      clearTimeout(timeout)
+      resolve()
+    }
+
+    const timeout = setTimeout(() => {
+      connectivity.removeListener('online', onOnline)
+      reject(new ZaapError(OFFLINE, 'Cannot reach the repository, we are offline'))
+    }, CONNECTIVITY_TIMEOUT_IN_MS)
+
+    connectivity.once('online', onOnline)
+  })
+}
+
+/**
+ * @summary Find a release in the games registry
+ * @param {string} gameUid - gameUid of the release
+ * @param {string} releaseName - name of the release
+ * @returns {Release} release
+ */
+exports.getRelease = function (gameUid, releaseName) {
+  const {
+    registry,
+  } = this.modules
+
+  const {
+    RELEASE_NOT_FOUND,
+  } = errors
+
+  if (!registry.isGameExist(gameUid) || !registry.getGame(gameUid).isReleaseExist(releaseName)) {
+    throw new ZaapError(RELEASE_NOT_FOUND, `Release not found: ${gameUid}/${releaseName}`)
+  }
+
+  return registry.getGame(gameUid).getRelease(releaseName)
+}
+
+/**
+ * @summary Execute the action of a command on a release
+ * @param {Release} release - target release
+ * @param {Object} command - command returned by parseArguments
+ * @returns {Promise} Promise resolved once the action is complete
+ */
+exports.execute = function (release, command) {
+  switch (command.action) {
+    case this.ACTIONS.INSTALL:
+      return release.install(command.location, true, command.bundle)
+        .then(() => this.waitForUpdate(release, command))
+
+    case this.ACTIONS.UPDATE:
+      if (!release.isUpdateProcessRunning() && !release.isUpdateAvailable()) {
+        this.print(`${release.gameUid}/${release.name}: already up to date (${release.version})`)
+        return Promise.resolve()
+      }
+
+      return (release.isUpdateProcessRunning() ? Promise.resolve() : release.update())
+        .then(() => this.waitForUpdate(release, command))
+
+    case this.ACTIONS.REPAIR:
+      return release.repair()
+        .then(() => this.waitForUpdate(release, command))
+
+    case this.ACTIONS.VERIFY:
+      return release.verify(({ filesProgress, filesTotal }) => {
+        if (filesProgress % VERIFY_PROGRESS_FILES_STEP === 0 || filesProgress === filesTotal) {
+          this.print(`${release.gameUid}/${release.name}: verify ${filesProgress}/${filesTotal} files checked`)
+        }
+      })
+        .then(({ repairStarted, checkedFilesCount, hashedFilesCount, missing, corrupted }) => {
+          if (!repairStarted) {
+            this.print(`${release.gameUid}/${release.name}: ${checkedFilesCount} files valid (${hashedFilesCount} hashed)`)
+            return
+          }
+
+          this.print(`${release.gameUid}/${release.name}: ${missing.length} missing and ${corrupted.length} corrupted files, repairing`)
+          return this.waitForUpdate(release, command)
+        })
+
+    case this.ACTIONS.START:
+      return this.startService()
+        .then(() => release.startSeries(command.instances))
+        .then(() => this.waitForExit(release))
+
+    case this.ACTIONS.MOVE:
+      return release.move(command.location)
+
+    case this.ACTIONS.UNINSTALL:
+      return release.uninstall()
+
+    case this.ACTIONS.EXPORT:
+      return this.modules.bundle.exportRelease(release, command.destination, ({ filesCopied, filesTotal }) => {
+        if (filesCopied % EXPORT_PROGRESS_FILES_STEP === 0 || filesCopied === filesTotal) {
+          this.print(`${release.gameUid}/${release.name}: export ${filesCopied}/${filesTotal} files copied`)
+        }
+      })
+
+    case this.ACTIONS.PLAYTIME:
+      this.print(`${release.gameUid}/${release.name}: played ${formatDuration(release.playtime.total)} in ${release.playtime.sessionsCount} sessions`)
+      return release.exportPlaytime(command.destination)
+  }
+}
+
+/**
+ * @summary Print the progress of the current update of a release until it ends
+ * @param {Release} release - release being updated
+ * @param {Object} command - command returned by parseArguments
+ * @returns {Promise} Promise resolved when the update is completed
+ */
+exports.waitForUpdate = function (release, command) {
+  const {
+    PROGRESS_INTERVAL_IN_MS,
+  } = this.modules
+
+  const {
+    UPDATE_CANCELED,
+  } = errors
+
+  const update = release.currentUpdate
+
+  // Scripts and build machines must not wait hours for the next update window
+  update.ignoreSchedule()
+
+  if (command.bandwidthLimit !== null) {
+    update.setBandwidthLimit(command.bandwidthLimit)
+  }
+
+  return new Promise((resolve, reject) => {
+    const intervalId = setInterval(() => {
+      this.printUpdateProgress(update)
+    }, PROGRESS_INTERVAL_IN_MS)
+
+    const settle = (callback) => (...args) => {
+      clearInterval(intervalId)
+      callback(...args)
+    }
+
+    update.once('completed', settle(resolve))
+    update.once('error', settle(reject))
+    update.once('cancel', settle(() => {
+      reject(new ZaapError(UPDATE_CANCELED, 'The update was canceled'))
+    }))
+  })
+}
+
+/**
+ * @summary Print a line describing the progress of an update
+ * @param {Update} update - update in progress
+ * @returns {undefined} void
+ */
+exports.printUpdateProgress = function (update) {
+  const {
+    currentAction,
+    isPaused,
+    isPausedByUser,
+    queuePauseReason,
+    repairProgress,
+    overallDownloadProgress,
+    downloadSpeed,
+    bandwidthLimit,
+  } = update.expose()
+
+  let details = ''
+  if (isPaused || (!currentAction && queuePauseReason)) {
+    details = (!isPausedByUser && PAUSE_REASON_DESCRIPTIONS[queuePauseReason]) || 'paused'
+  } else if (currentAction === ACTION_TYPES.REPAIR && repairProgress.filesTotal) {
+    details = `${repairProgress.filesProgress}/${repairProgress.filesTotal} files checked`
+  } else if (overallDownloadProgress.totalSize) {
+    const {
+      downloadedSize,
+      totalSize,
+    } = overallDownloadProgress
+    const percent = Math.floor(100 * downloadedSize / totalSize)
+    details = `${percent}% (${formatSize(downloadedSize)} / ${formatSize(totalSize)}) ${formatSize(downloadSpeed)}/s`
+
+    if (bandwidthLimit) {
+      details += ` (limited to ${formatSize(bandwidthLimit)}/s)`
+    }
+  }
+
+  this.print(`${update.gameUid}/${update.releaseName}: ${currentAction || 'Waiting'} ${details}`.trim())
+}
+
+/**
+ * Games use the service API to authenticate the user, so we
+ * log in from the stored API key before starting it.
+ *
+ * @summary Start the service API
+ * @returns {Promise} Promise resolved once the service is listening
+ */
+exports.startService = function () {
+  const auth = this.modules.getAuth()
+  const service = this.modules.getService()
+
+  auth.setup()
+
+  return auth.authenticateFromStoredApiKey()
+    .then(() => new Promise((resolve, reject) => {
+      if (!auth.isAuthenticated()) {
+        this.print('Not logged in, games requiring authentication will not be able to log in')
+      }
+
+      service.start((error) => error ? reject(error) : resolve())
+    }))
+}
+
+/**
+ * @summary Wait for all the instances of a release to exit
+ * @param {Release} release - started release
+ * @returns {Promise} Promise resolved once no instance is running anymore
+ */
+exports.waitForExit = function (release) {
+  this.print(`${release.gameUid}/${release.name}: started, waiting for the game to exit`)
+
+  return new Promise((resolve) => {
+    const onUpdate = () => {
+      if (!release.isRunning()) {
+        release.removeListener('update', onUpdate)
+        resolve()
+      }
+    }
+
+    release.on('update', onUpdate)
+    onUpdate()
+  })
+}
+
+/**
+ * @summary Print a message on the standard output
+ * @param {String} message - message
+ * @returns {undefined} void
+ */
+exports.print = function (message) {
+  this.modules.stdout.write(`${message}\n`)
+}
+
+/**
+ * @summary Print a message on the standard error output
+ * @param {String} message - message
+ * @returns {undefined} void
+ */
+exports.printError = function (message) {
+  this.modules.stderr.write(`${message}\n`)
+}
+
+/**
+ * @summary Format a duration in milliseconds to a human readable string
+ * @param {Number} duration - duration in milliseconds
+ * @returns {String} formatted duration
+ * @private
+ */
+function formatDuration(duration) {
+  const minutes = Math.floor(duration / (60 * 1000))
+
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * @summary Format a size in bytes to a human readable string
+ * @param {Number} size - size in bytes
+ * @returns {String} formatted size
+ * @private
+ */
+function formatSize(size) {
+  const units = ['B', 'KB', 'MB', 'GB']
+  let unitIndex = 0
+
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024
+    unitIndex += 1
+  }
+
+  return `${size.toFixed(1)} ${units[unitIndex]}`
+}
@@ -0,0 +1,95 @@
+/**
+ * The file store keeps each credential in a file of the user data
+ * folder, named after the credential and encrypted with the UUID of the
+ * machine. It is the store of the launchers prior to the credential
+ * store, and the fallback when the secret store of the OS is not
+ * available.
+ *
+ * @module zaap/credentialStore/file
+ */
+const path = require('path')
+const inject = require('instill')
+
+/* istanbul ignore next */
+inject(exports, {
+  app: require('../app'),
+  cryptoHelper: require('../cryptoHelper'),
+  fs: require('fs'),
+})
+
+exports.name = 'file'
+
+/**
+ * @summary Get the path of the file of a credential
+ * @param {String} name - name of the credential
+ * @returns {String} The file path
+ */
+exports.getFilepath = function (name) {
+  const {
+    app,
+  } = this.modules
+
+  return path.join(app.getPath('userData'), `.${name}`)
+}
+
+/**
+ * @summary Check if the store can be used
+ * @returns {Promise<Boolean>} always true
+ */
+exports.isAvailable = function () {
+  return Promise.resolve(true)
+}
+
+/**
+ * @summary Read a credential
+ * @param {String} name - name of the credential
+ * @returns {Promise<*>} The credential, null if it is not stored
+ */
+exports.get = function (name) {
+  const {
+    cryptoHelper,
+    fs,
+  } = this.modules
+
+  const filepath = this.getFilepath(name)
+
+  if (!fs.existsSync(filepath)) {
+    return Promise.resolve(null)
+  }
+
+  return cryptoHelper.decryptFromFileWithUUID(filepath)
+}
+
+/**
+ * @summary Write a credential
+ * @param {String} name - name of the credential
+ * @param {*} data - the credential, must be serializable to JSON
+ * @returns {Promise} When the credential is written
+ */
+exports.set = function (name, data) {
+  const {
+    cryptoHelper,
+  } = this.modules
+
+  return cryptoHelper.encryptToFileWithUUID(this.getFilepath(name), data)
+}
+
+/**
+ * @summary Delete a credential, if it is stored
+ * @param {String} name - name of the credential
+ * @returns {Promise} When the credential is deleted
+ */
+exports.delete = function (name) {
+  const {
+    fs,
+  } = this.modules
+
+  return new Promise((resolve, reject) => {
+    fs.unlink(this.getFilepath(name), (error) => {
+      if (error && error.code !== 'ENOENT') {
+        return reject(error)
+      }
+      resolve()
+    })
+  })
+}
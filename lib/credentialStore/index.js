@@ -0,0 +1,141 @@
+/**
+ * The credential store keeps the secrets of the launcher, such as the
+ * API keys of the accounts, in the secret store of the OS: the Secret
+ * Service (libsecret) on Linux, the Keychain on macOS and the Credential
+ * Manager on Windows. The encrypted files written by previous versions
+ * remain the fallback when the secret store of the OS is not available.
+ *
+ * A credential found in a file while the secret store of the OS is used
+ * is moved to this store the first time it is read.
+ *
+ * Every store exposes the same interface:
+ * `isAvailable()`, `get(name)`, `set(name, data)` and `delete(name)`.
+ *
+ * @module zaap/credentialStore
+ */
+const inject = require('instill')
+
+/* istanbul ignore next */
+inject(exports, {
+  logger: require('../logger'),
+  keychainStore: require('./keychain'),
+  fileStore: require('./file'),
+})
+
+/**
+ * @property {Promise|null} storePromise Promise resolved with the store in use, once it has been picked.
+ */
+exports.storePromise = null
+
+/**
+ * @summary Get the store in use, the secret store of the OS if it is available
+ * @returns {Promise<Object>} The store
+ */
+exports.getStore = function () {
+  const {
+    logger,
+    keychainStore,
+    fileStore,
+  } = this.modules
+
+  if (!this.storePromise) {
+    this.storePromise = keychainStore.isAvailable()
+      .then((isAvailable) => {
+        const store = isAvailable ? keychainStore : fileStore
+        logger.info(`credentialStore: using the ${store.name} store`)
+        return store
+      })
+  }
+
+  return this.storePromise
+}
+
+/**
+ * @summary Read a credential
+ * @param {String} name - name of the credential
+ * @returns {Promise<*>} The credential, null if it is not stored
+ */
+exports.get = function (name) {
+  const {
+    fileStore,
+  } = this.modules
+
+  return this.getStore()
+    .then((store) => {
+      return store.get(name)
+        .then((data) => {
+          if (data !== null || store === fileStore) {
+            return data
+          }
+
+          return this.migrate(store, name)
+        })
+    })
+}
+
+/**
+ * The file is only removed once the credential is written in the new
+ * store, so that it is never lost.
+ *
+ * @summary Move a credential from its file to another store
+ * @param {Object} store - the store to move the credential to
+ * @param {String} name - name of the credential
+ * @returns {Promise<*>} The credential, null if there is no file
+ */
+exports.migrate = function (store, name) {
+  const {
+    logger,
+    fileStore,
+  } = this.modules
+
+  return fileStore.get(name)
+    .then((data) => {
+      if (data === null) {
+        return null
+      }
+
+      return store.set(name, data)
+        .then(() => fileStore.delete(name))
+        .then(() => {
+          logger.info(`credentialStore: ${name} moved to the ${store.name} store`)
+        }, (error) => {
+          logger.warn(`credentialStore: cannot move ${name} to the ${store.name} store`, error)
+        })
+        .then(() => data)
+    })
+}
+
+/**
+ * @summary Write a credential
+ * @param {String} name - name of the credential
+ * @param {*} data - the credential, must be serializable to JSON
+ * @returns {Promise} When the credential is written
+ */
+exports.set = function (name, data) {
+  return this.getStore()
+    .then((store) => store.set(name, data))
+}
+
+/**
+ * A file left by a migration which failed is removed as well.
+ *
+ * @summary Delete a credential
+ * @param {String} name - name of the credential
+ * @returns {Promise} When the credential is deleted
+ */
+exports.delete = function (name) {
+  const {
+    fileStore,
+  } = this.modules
+
+  return this.getStore()
+    .then((store) => {
+      const deletions = [store.delete(name)]
+
+      if (store !== fileStore) {
+        deletions.push(fileStore.delete(name))
+      }
+
+      return Promise.all(deletions)
+    })
+}
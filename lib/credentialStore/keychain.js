@@ -0,0 +1,93 @@
+/**
+ * The keychain store keeps the credentials in the secret store of the
+ * OS, through keytar. Each credential is a password of the launcher
+ * service, the account being the name of the credential.
+ *
+ * @module zaap/credentialStore/keychain
+ */
+const inject = require('instill')
+
+/* istanbul ignore next */
+inject(exports, {
+  app: require('../app'),
+  logger: require('../logger'),
+  // keytar is a native module, it can not be loaded when libsecret is missing on Linux
+  getKeytar: () => require('keytar'),
+})
+
+exports.name = 'keychain'
+
+/**
+ * @summary Get the service the credentials are stored under
+ * @returns {String} The service name
+ */
+exports.getService = function () {
+  const {
+    app,
+  } = this.modules
+
+  return app.getName()
+}
+
+/**
+ * The store is not available when keytar can not be loaded, or when no
+ * Secret Service is running on Linux.
+ *
+ * @summary Check if the secret store of the OS can be used
+ * @returns {Promise<Boolean>} true if the store is available
+ */
+exports.isAvailable = function () {
+  const {
+    logger,
+    getKeytar,
+  } = this.modules
+
+  return new Promise((resolve) => resolve(getKeytar()))
+    .then((keytar) => keytar.findCredentials(this.getService()))
+    .then(() => true)
+    .catch((error) => {
+      logger.warn('credentialStore: the secret store of the OS is not available', error)
+      return false
+    })
+}
+
+/**
+ * @summary Read a credential
+ * @param {String} name - name of the credential
+ * @returns {Promise<*>} The credential, null if it is not stored
+ */
+exports.get = function (name) {
+  const {
+    getKeytar,
+  } = this.modules
+
+  return getKeytar().getPassword(this.getService(), name)
+    .then((password) => password === null ? null : JSON.parse(password))
+}
+
+/**
+ * @summary Write a credential
+ * @param {String} name - name of the credential
+ * @param {*} data - the credential, must be serializable to JSON
+ * @returns {Promise} When the credential is written
+ */
+exports.set = function (name, data) {
+  const {
+    getKeytar,
+  } = this.modules
+
+  return getKeytar().setPassword(this.getService(), name, JSON.stringify(data))
+}
+
+/**
+ * @summary Delete a credential, if it is stored
+ * @param {String} name - name of the credential
+ * @returns {Promise} When the credential is deleted
+ */
+exports.delete = function (name) {
+  const {
+    getKeytar,
+  } = this.modules
+
+  return getKeytar().deletePassword(this.getService(), name)
+}
@@ -4,6 +4,7 @@ const promisify = require('es6-promisify').promisify
 const ENCODING = 'utf8'
 const ALGORITHM = 'aes-128-cbc'
 const SEPARATOR = '|' // this character separate the initialisation vector and the encrypted data
+const SIGNATURE_DIGEST = 'SHA256'
 
 /* istanbul ignore next */
 inject(exports, {
@@ -167,6 +168,30 @@ exports.decryptFromFileWithUUID = function (filepath) {
     })
 }
 
+/**
+ * @summary Verify the signature of some data
+ * @param {string | Buffer} data - the signed data
+ * @param {string} signature - the signature, base64 encoded
+ * @param {Array<string>} publicKeys - PEM encoded public keys, the signature must match one of them
+ * @returns {boolean} true if the signature is valid
+ */
+exports.verifySignature = function (data, signature, publicKeys) {
+  const {
+    crypto,
+    logger,
+  } = this.modules
+
+  return publicKeys.some((publicKey) => {
+    try {
+      const verify = crypto.createVerify(SIGNATURE_DIGEST)
+      verify.update(data)
+      return verify.verify(publicKey, signature, 'base64')
+    } catch (error) {
+      logger.warn('cryptoHelper: cannot verify signature', error)
+      return false
+    }
+  })
+}
 
 /**
  * @summary Compute the file hash
@@ -19,6 +19,10 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
   cryptoHelper = require('./cryptoHelper'),
   fs = require('fs'),
   registry = require('./games/registry'),
+  repository = registry.repository,
+  bandwidthLimiter = require('./bandwidthLimiter'),
+  peerCache = require('./peerCache'),
+  mirrorHealth = require('./mirrorHealth'),
   timeout = TIMEOUT,
   maxRetry = MAX_RETRY,
 } = {}) {
@@ -26,7 +30,7 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
     server,
     host,
     cachedServers,
-  } = registry.repository
+  } = repository
 
   const {
     targets,
@@ -34,7 +38,54 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
   } = fileData
 
   const cp = new ControlablePromise((resolve, reject, progress, onPause, onResume, onCancel) => {
-    const url = cachedServers[Math.floor((Math.random() * cachedServers.length))] + subpath
+    let repositoryServer = mirrorHealth.pickServer(cachedServers)
+    let repositoryUrl = repositoryServer + subpath
+    const failedServers = []
+    let requestDate = null
+
+    // Files we cannot verify are never fetched from a peer
+    const peerServers = checkHash ? peerCache.getPeerServers() : []
+    const peerServer = peerServers.length > 0 ?
+      peerServers[Math.floor((Math.random() * peerServers.length))] :
+      null
+    let url = peerServer ? peerServer + subpath : repositoryUrl
+
+    const fallbackToRepository = (reason) => {
+      if (url === repositoryUrl) {
+        return false
+      }
+
+      logger.debug(`fetch: cannot fetch ${hash} from peer ${url}, falling back to repository`, reason)
+      peerCache.recordFailure(peerServer, reason)
+      url = repositoryUrl
+      return true
+    }
+
+    const fallbackToOtherMirror = (reason, isBadHash = false) => {
+      if (url !== repositoryUrl) {
+        return false
+      }
+
+      if (isBadHash) {
+        mirrorHealth.recordBadHash(repositoryServer)
+      } else {
+        mirrorHealth.recordFailure(repositoryServer, reason)
+      }
+
+      failedServers.push(repositoryServer)
+      const server = mirrorHealth.pickServer(cachedServers, failedServers)
+      if (!server) {
+        return false
+      }
+
+      logger.debug(`fetch: cannot fetch ${hash} from ${repositoryServer}, falling back to ${server}`, reason)
+      repositoryServer = server
+      repositoryUrl = server + subpath
+      url = repositoryUrl
+      return true
+    }
+
+    const fallback = (reason) => fallbackToRepository(reason) || fallbackToOtherMirror(reason)
 
     function isRetryError(error) {
       return error.type === 'request-timeout' ||
@@ -50,6 +101,7 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
       repository: server,
       host,
       cached: cachedServers,
+      peers: peerServers,
       url,
     })
 
@@ -90,25 +142,49 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
       }
 
       if (res.status !== 206 && res.status !== 200) {
+        if (fallback(`Code: ${res.status}`)) {
+          return startElectronFetch()
+        }
         return reject(new Error(`Code: ${res.status}`))
       }
 
       if (shouldResume && res.headers.get('accept-ranges') !== 'bytes') {
+        if (fallback('Partial content not supported')) {
+          return startElectronFetch()
+        }
         return reject(new Error('Partial content not supported'))
       }
 
+      if (url === repositoryUrl) {
+        mirrorHealth.recordSuccess(repositoryServer, Date.now() - requestDate)
+      } else {
+        peerCache.recordSuccess(peerServer)
+      }
+
       rs = res.body
 
       ws = fs.createWriteStream(filepath, {
         flags: shouldResume ? 'a' : 'w',
       })
 
-      rs.on('data', (chunk) => {
+      const stream = rs
+      stream.on('data', (chunk) => {
         size += chunk.length
         progress({
           chunkSize: chunk.length,
           downloadedSize: size,
         })
+
+        // Wait before reading more data if we are over the bandwidth limit
+        const delay = bandwidthLimiter.consume(chunk.length)
+        if (delay > 0) {
+          stream.pause()
+          setTimeout(() => {
+            if (rs === stream) {
+              stream.resume()
+            }
+          }, delay)
+        }
       })
 
       ws.once('finish', () => {
@@ -124,6 +200,15 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
                 return resolve()
               }
               logger.warn(`fetch: computed hash differ from expected hash ${hash}`)
+              if (!fallbackToRepository('Hash mismatch') && !fallbackToOtherMirror('Hash mismatch', true)) {
+                return reject(new Error(`Hash mismatch: expected ${hash}, computed ${computedHash}`))
+              }
+
+              // Let the next response be handled, and the next download be cancelled
+              stream.unpipe(ws)
+              rs = null
+              ws.end()
+              isCancellable = true
               cleanAndRetry()
             })
             .catch(reject)
@@ -133,13 +218,17 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
       rs.once('error', (error) => {
         logger.error('fetch', error)
         ws.end(() => {
+          if (fallback(error)) {
+            rs = null
+            return startElectronFetch()
+          }
           reject(error)
         })
       })
 
       ws.once('error', (error) => {
         logger.error('fetch', error)
-        rs.end()
+        stream.end()
         reject(error)
       })
 
@@ -157,6 +246,7 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
         }
       }
 
+      requestDate = Date.now()
       electronFetch(url, {
         headers,
         useElectronNet: false,
@@ -165,9 +255,14 @@ module.exports = function (subpath, filepath, fileData, hash, checkHash = true,
         .catch((error) => {
           const shouldRetry = retryCount < maxRetry && isRetryError(error)
 
-          if (shouldRetry) {
+          // A peer is left right away, a mirror only once its retries are used up
+          if (fallbackToRepository(error)) {
+            startElectronFetch(retryCount)
+          } else if (shouldRetry) {
             /* istanbul ignore next */
             startElectronFetch(retryCount + 1)
+          } else if (fallbackToOtherMirror(error)) {
+            startElectronFetch(retryCount)
           } else {
             reject(error)
           }
@@ -107,6 +107,7 @@ Game.prototype.destroy = function () {
  * @param {Object} data - Filtered data from the remote repository
  * @param {Object} data.information - key-value mapping of release names and the information timestamp.
  * @param {Object} data.releases - key-value mapping of release names and their current version.
+ * @param {Object} [data.sources] - key-value mapping of release names and the repositories they are available from.
  * @param {Function} callback - callback function.
  * @returns {undefined} void
  */
@@ -117,6 +118,7 @@ Game.prototype.update = function (
   { // data
     information,
     releases,
+    sources = {},
   },
   callback
 ) {
@@ -132,16 +134,31 @@ Game.prototype.update = function (
    */
   // Add and update releases
   Object.keys(releases).forEach((releaseName) => {
-    const releaseVersion = releases[releaseName]
-    const informationVersion = information[releaseName]
+    let releaseVersion = releases[releaseName]
+    let informationVersion = information[releaseName]
 
-    if (!this.isReleaseExist(releaseName)) {
+    const isNewRelease = !this.isReleaseExist(releaseName)
+    if (isNewRelease) {
       this.createRelease(releaseName)
     } else {
       const index = removedReleases.indexOf(releaseName)
       removedReleases.splice(index, 1)
     }
 
+    const rel = this.getRelease(releaseName)
+    const source = this.selectReleaseSource(releaseName, sources[releaseName])
+    if (source) {
+      rel.setRepository(source.repository)
+      rel.setPreloadVersion(source.preloadVersion)
+      releaseVersion = source.version
+      informationVersion = source.information
+    }
+
+    // The repository the release was installed from is known from now on
+    if (isNewRelease) {
+      rel.resumeInterruptedProcesses()
+    }
+
     runner.run(() => this.updateRelease(
       releaseName,
       releaseVersion,
@@ -158,6 +175,22 @@ Game.prototype.update = function (
   runner.checkIfDone()
 }
 
+/**
+ * A release stays on the repository it was installed from as long as
+ * this repository lists it; otherwise it moves to the repository with
+ * the highest priority.
+ *
+ * @summary Select the repository a release is updated from.
+ * @param {String} releaseName - The name of the release.
+ * @param {Array<Object>} [releaseSources] - Repositories listing the release by priority, as { repository, version, information, preloadVersion }
+ * @returns {Object|undefined} The selected source, undefined if there is none
+ */
+Game.prototype.selectReleaseSource = function (releaseName, releaseSources = []) {
+  const rel = this.getRelease(releaseName)
+
+  return releaseSources.find((source) => source.repository.server === rel.repositoryServer) || releaseSources[0]
+}
+
 /**
  * @summary Update the release order. The order of the main release will always be set to 0.
  * @returns {undefined} void
@@ -298,7 +331,7 @@ Game.prototype.updateReleaseInformation = function (releaseName, informationVers
   } = this.modules
 
   const rel = this.getRelease(releaseName)
-  this.repository.getInformation(this.uid, informationVersion)
+  rel.getRepository().getInformation(this.uid, informationVersion)
     .then(stream => rel.information.updateFromRepositoryStream(informationVersion, stream, callback))
     .catch((error) => {
       /* istanbul ignore next */
@@ -325,6 +358,7 @@ Game.prototype.markAllReleasesAsRemoved = function () {
 Game.prototype.markReleaseAsRemoved = function (releaseName) {
   const rel = this.getRelease(releaseName)
   rel.repositoryVersion = false
+  rel.setPreloadVersion(false)
 
   // Installed releases will not be removed - they
   // should instead be removed upon uninstall
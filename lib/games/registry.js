@@ -75,6 +75,8 @@ inject(exports, {
   fs: require('fs-extra'),
   app: require('../app'),
   logger: require('../logger'),
+  settings: require('../settings'),
+  connectivity: require('../connectivity'),
   repository: require('../updater/repository'),
   game: require('./game'),
   LOCAL_PLATFORM: helpers.getRepositoryPlatform(),
@@ -86,11 +88,18 @@ inject(exports, {
 
 const REPOSITORY_LIST_FILENAME = 'repositories.json'
 
+exports._repositoryUpdateCallbacks = {}
+
 /**
- * @property {Repository} repository The current Repository object instance.
+ * @property {Repository} repository The main Repository object instance.
  */
 exports.repository = null
 
+/**
+ * @property {Array<Repository>} activeRepositories Repositories in use, by priority (the main repository first).
+ */
+exports.activeRepositories = []
+
 /**
  * @property {Object} repositories Data for known repositories.
  */
@@ -117,25 +126,36 @@ exports.releases = makeReleaseProxy(exports)
  * read a local copy of the file. If a local copy cannot be found,
  * we will then try to load one from the repository.
  *
+ * The repositories listed in the `REPOSITORIES` setting are used
+ * along with the main repository; their games are merged with the games
+ * of the main repository.
+ *
  * If all fails, we return an error. It is expected that the calling
  * code will need to re-attempt setup in such cases.
  *
  * @summary Initialize the registry.
- * @param {String} repositoryServer - HTTP/S URL to the remote repository.
+ * @param {String} repositoryServer - HTTP/S URL to the main remote repository.
  * @param {registry~setupCallback} callback - Callback function
  * @returns {undefined} void
  */
 exports.setup = function (repositoryServer, callback) {
   const {
-    repository,
     logger,
+    settings,
     remoteCommunication,
   } = this.modules
 
-  // Set up repository an wait for update
-  this.repository = repository.get(repositoryServer)
-  this._repositoryUpdateCallback = this.onRepositoryUpdate.bind(this)
-  this.repository.on('update', this._repositoryUpdateCallback)
+  // Set up repositories an wait for update
+  this.repository = this.addActiveRepository(repositoryServer)
+  this.getAdditionalRepositoryServers().forEach((server) => {
+    try {
+      this.addActiveRepository(server)
+    } catch (error) {
+      logger.warn(`registry: cannot use repository ${server}`, error)
+    }
+  })
+
+  this._repositoriesObserver = settings.watch(settings.KEYS.REPOSITORIES, this.onRepositoriesSettingChange.bind(this))
 
   ipcMain.on(remoteCommunication.CHANNELS.GAME_LIST, (event) => {
     const games = {}
@@ -157,8 +177,9 @@ exports.setup = function (repositoryServer, callback) {
     }
 
     try {
-      const repositoryData = this.getRepositoryDataForCurrentRepository()
-      this.parseRepositoryData(repositoryData, callback)
+      // The data of the other repositories is loaded when they are watched
+      this.getRepositoryDataForCurrentRepository()
+      this.parseRepositoryData(this.getMergedRepositoryData(), callback)
     } catch (error) {
       logger.warn('No data available for the current repository:', error)
       return this.loadRepositoryDataFromRepository(callback)
@@ -171,8 +192,15 @@ exports.setup = function (repositoryServer, callback) {
  * @return {undefined} void
  */
 exports.clear = function () {
-  this.repository.removeListener('update', this._repositoryUpdateCallback)
   this.unwatchRepository()
+  this.activeRepositories.slice().forEach((repository) => {
+    this.removeActiveRepository(repository.server)
+  })
+
+  if (this._repositoriesObserver) {
+    this._repositoriesObserver.dispose()
+    this._repositoriesObserver = null
+  }
 
   Object.keys(this.games).forEach((key) => {
     this.games[key].destroy()
@@ -185,21 +213,143 @@ exports.clear = function () {
 
 /**
  * Callback for repository update
+ * @param {String} server - The server of the updated repository
  * @param {Any} repositoryData the repository data
  * @return {undefined} void
  */
-exports.onRepositoryUpdate = function (repositoryData) {
+exports.onRepositoryUpdate = function (server, repositoryData) {
   const {
     logger,
   } = this.modules
 
-  this.update(repositoryData, (error) => {
+  this.update(server, repositoryData, (error) => {
     if (error) {
       logger.warn('Failed to store or parse update data received from the repository:', error)
     }
   })
 }
 
+/**
+ * @summary Get the servers of the repositories to use along with the main repository.
+ * @returns {Array<String>} HTTP/S URLs of the repositories, by priority
+ */
+exports.getAdditionalRepositoryServers = function () {
+  const {
+    settings,
+  } = this.modules
+
+  // Repositories remove the trailing slash of their server
+  const servers = (settings.get(settings.KEYS.REPOSITORIES) || [])
+    .filter((server) => !!server)
+    .map((server) => server.replace(/\/$/, ''))
+
+  return servers.filter((server, index) => servers.indexOf(server) === index)
+}
+
+/**
+ * @summary Get an active repository.
+ * @param {String} server - The server of the repository.
+ * @returns {Repository|undefined} The repository, undefined if it is not active
+ */
+exports.getActiveRepository = function (server) {
+  // Repositories remove the trailing slash of their server
+  const normalizedServer = server.replace(/\/$/, '')
+  return this.activeRepositories.find((repository) => repository.server === normalizedServer)
+}
+
+/**
+ * The repository is added with the lowest priority.
+ *
+ * @summary Start using a repository.
+ * @param {String} server - HTTP/S URL to the remote repository.
+ * @returns {Repository} The repository
+ */
+exports.addActiveRepository = function (server) {
+  const {
+    repository,
+  } = this.modules
+
+  const activeRepository = this.getActiveRepository(server)
+
+  if (activeRepository) {
+    return activeRepository
+  }
+
+  const repositoryInstance = repository.get(server)
+  const updateCallback = (repositoryData) => this.onRepositoryUpdate(repositoryInstance.server, repositoryData)
+  this._repositoryUpdateCallbacks[repositoryInstance.server] = updateCallback
+  repositoryInstance.on('update', updateCallback)
+  this.activeRepositories.push(repositoryInstance)
+
+  return repositoryInstance
+}
+
+/**
+ * The data of the repository is kept, so that it is available
+ * if the repository is used again.
+ *
+ * @summary Stop using a repository.
+ * @param {String} server - The server of the repository.
+ * @returns {undefined} void
+ */
+exports.removeActiveRepository = function (server) {
+  const repositoryInstance = this.getActiveRepository(server)
+
+  if (!repositoryInstance) {
+    return
+  }
+
+  repositoryInstance.unwatch()
+  repositoryInstance.removeListener('update', this._repositoryUpdateCallbacks[server])
+  delete this._repositoryUpdateCallbacks[server]
+  this.activeRepositories.splice(this.activeRepositories.indexOf(repositoryInstance), 1)
+}
+
+/**
+ * The games of the added repositories are loaded once their data is received,
+ * the releases only listed by the removed repositories are marked as removed.
+ *
+ * @summary Add and remove the repositories when the `REPOSITORIES` setting changes.
+ * @returns {undefined} void
+ */
+exports.onRepositoriesSettingChange = function () {
+  const {
+    logger,
+    connectivity,
+  } = this.modules
+
+  const servers = this.getAdditionalRepositoryServers()
+
+  this.activeRepositories
+    .filter((repository) => repository !== this.repository && !servers.includes(repository.server))
+    .forEach((repository) => this.removeActiveRepository(repository.server))
+
+  const repositories = []
+  servers.forEach((server) => {
+    try {
+      const activeRepositoriesCount = this.activeRepositories.length
+      const repository = this.addActiveRepository(server)
+      const isAdded = this.activeRepositories.length > activeRepositoriesCount
+      if (isAdded && connectivity.isOnline) {
+        repository.watch(this.repositories[repository.server])
+      }
+      repositories.push(repository)
+    } catch (error) {
+      logger.warn(`registry: cannot use repository ${server}`, error)
+    }
+  })
+
+  // Follow the priority of the setting
+  this.activeRepositories = [this.repository]
+    .concat(repositories.filter((repository) => repository !== this.repository))
+
+  this.refresh((error) => {
+    if (error) {
+      logger.warn('Failed to update the games after a change of repositories:', error)
+    }
+  })
+}
+
 /**
  * @summary Get the location of where data about repositories will be stored.
  * @returns {String} The path to where data for all know repositories are stored.
@@ -252,17 +402,27 @@ exports.getGamePath = function (repositoryName, gameUid) {
 /**
  * This will also automatically save the new data to disk.
  *
- * @summary Update the local repository data.
- * @param {Object} repositoryData - Data received from the currently used repository.
+ * @summary Update the local data of a repository.
+ * @param {String} server - The server of the repository.
+ * @param {Object} repositoryData - Data received from the repository.
  * @param {registry~updateCallback} callback - callback function.
  * @returns {undefined} void
  */
-exports.update = function (repositoryData, callback) {
+exports.update = function (server, repositoryData, callback) {
+  this.setRepositoryData(server, repositoryData)
+  this.refresh(callback)
+}
+
+/**
+ * @summary Save the repositories data to disk and update the games from the active repositories.
+ * @param {registry~updateCallback} callback - callback function.
+ * @returns {undefined} void
+ */
+exports.refresh = function (callback) {
   const {
     logger,
   } = this.modules
 
-  this.setRepositoryDataForCurrentRepository(repositoryData)
   this.saveRepositoryListFile((error) => {
     /**
      * @callback registry~updateCallback
@@ -273,18 +433,90 @@ exports.update = function (repositoryData, callback) {
       return callback(error)
     }
 
-    this.parseRepositoryData(repositoryData, (error) => {
+    this.parseRepositoryData(this.getMergedRepositoryData(), (error) => {
       callback(error)
     })
   })
 }
 
+/**
+ * Games listed by several repositories are merged: the game data (name,
+ * order...) comes from the repository with the highest priority, and each
+ * release keeps the list of the repositories it is available from, by
+ * priority, in `sources`, along with the version it is going to be
+ * updated to when the repository advertises one for preload.
+ *
+ * The name of the merged data, used to store the games on disk, is the one
+ * of the repository with the highest priority.
+ *
+ * @summary Merge the data of the active repositories.
+ * @returns {Object} Repository data, as { name, games }
+ */
+exports.getMergedRepositoryData = function () {
+  const {
+    LOCAL_PLATFORM,
+  } = this.modules
+
+  const mergedData = {
+    name: null,
+    games: {},
+  }
+
+  this.activeRepositories.forEach((repository) => {
+    const repositoryData = this.repositories[repository.server]
+
+    if (!repositoryData) {
+      return
+    }
+
+    mergedData.name = mergedData.name || repositoryData.name
+    const games = repositoryData.games || {}
+
+    Object.keys(games).forEach((gameUid) => {
+      const game = games[gameUid]
+      const releases = game.platforms && game.platforms[LOCAL_PLATFORM]
+      const information = (game.assets && game.assets.meta) || {}
+      const preloads = (game.preload && game.preload[LOCAL_PLATFORM]) || {}
+
+      if (!releases) {
+        return
+      }
+
+      if (!mergedData.games[gameUid]) {
+        mergedData.games[gameUid] = Object.assign({}, game, {
+          assets: Object.assign({}, game.assets, { meta: {} }),
+          platforms: { [LOCAL_PLATFORM]: {} },
+          sources: {},
+        })
+      }
+
+      const mergedGame = mergedData.games[gameUid]
+      Object.keys(releases).forEach((releaseName) => {
+        if (!mergedGame.sources[releaseName]) {
+          mergedGame.platforms[LOCAL_PLATFORM][releaseName] = releases[releaseName]
+          mergedGame.assets.meta[releaseName] = information[releaseName]
+          mergedGame.sources[releaseName] = []
+        }
+
+        mergedGame.sources[releaseName].push({
+          repository,
+          version: releases[releaseName],
+          information: information[releaseName],
+          preloadVersion: preloads[releaseName] || false,
+        })
+      })
+    })
+  })
+
+  return mergedData
+}
+
 /**
  * The process should also synchronise games and their releases whenever
  * necessary.
  *
  * @summary Parse the data from a repository and updates the in-memory structure.
- * @param {Object} repositoryData - Data received from the currently used repository.
+ * @param {Object} repositoryData - Data of the repositories, as returned by `getMergedRepositoryData`.
  * @param {registry~parseRepositoryDataCallback} callback - callback function.
  * @returns {undefined} void
  */
@@ -327,6 +559,7 @@ exports.parseRepositoryData = function ({
     const {
       assets,
       platforms,
+      sources,
       name: gameName,
       order: gameOrder,
       gameId,
@@ -339,6 +572,7 @@ exports.parseRepositoryData = function ({
     const gameData = {
       information,
       releases: platforms[LOCAL_PLATFORM],
+      sources,
     }
 
     if (!gameData.releases) {
@@ -382,7 +616,7 @@ exports.getRepositoryData = function (server) {
 }
 
 /**
- * @summary Retrieve the local data for the repository currently in use.
+ * @summary Retrieve the local data for the main repository.
  * @returns {Object} Repository data
  */
 exports.getRepositoryDataForCurrentRepository = function () {
@@ -404,8 +638,8 @@ exports.setRepositoryData = function (server, data) {
 }
 
 /**
- * @summary Set local data for the repository currently in use.
- * @param {Object} data - Data received from the currently used repository.
+ * @summary Set local data for the main repository.
+ * @param {Object} data - Data received from the main repository.
  * @returns {undefined} void
  */
 exports.setRepositoryDataForCurrentRepository = function (data) {
@@ -624,37 +858,95 @@ exports.saveRepositoryListFile = function (callback) {
  * the first time. Once we have receive the initial data, we should normally
  * simply access the local data, and instead watch the repository for updates.
  *
- * @summary Fetch the file from a remote repository and update its local data.
+ * Only the main repository is required: the other repositories keep their
+ * local data if their file cannot be fetched.
+ *
+ * @summary Fetch the file from the remote repositories and update their local data.
  * @param {registry~loadRepositoryDataFromRepositoryCallback} callback - Callback function.
  * @returns {undefined} void
  */
 exports.loadRepositoryDataFromRepository = function (callback) {
+  const {
+    logger,
+  } = this.modules
+
   /**
    * @callback registry~loadRepositoryDataFromRepositoryCallback
    * @param {Error|null} error - Error object (or null if no error)
    */
-  this.repository.getGamesList().then((repositoryData) => {
-    this.update(repositoryData, callback)
+  Promise.all(this.activeRepositories.map((repository) => {
+    return repository.getGamesList()
+      .then((repositoryData) => {
+        this.setRepositoryData(repository.server, repositoryData)
+      })
+      .catch((error) => {
+        if (repository === this.repository) {
+          throw error
+        }
+
+        logger.warn(`registry: cannot load the games list of ${repository.server}`, error)
+      })
+  })).then(() => {
+    this.refresh(callback)
   }).catch(callback)
 }
 
 /**
- * Watch will start the repository watch interval; whenever
+ * This is used to install a release from a bundle on a machine which
+ * cannot reach the repository: the data of the game is merged into the
+ * local repository data, and will be replaced by the data of the
+ * repository once we are online.
+ *
+ * @summary Add the data of a game to the data of the main repository.
+ * @param {String} repositoryName - The name of the repository of the game.
+ * @param {String} gameUid - The uid of the game.
+ * @param {Object} gameData - The data of the game, as in the repository games list.
+ * @param {registry~updateCallback} callback - Callback function.
+ * @returns {undefined} void
+ */
+exports.importGame = function (repositoryName, gameUid, gameData, callback) {
+  const {
+    repository,
+  } = this.modules
+
+  let repositoryData
+  try {
+    repositoryData = this.getRepositoryDataForCurrentRepository()
+  } catch (error) {
+    repositoryData = {
+      name: repositoryName,
+      version: repository.CYTRUS_VERSION,
+      games: {},
+    }
+  }
+
+  repositoryData.games = repository.deepMerge(repositoryData.games || {}, {
+    [gameUid]: gameData,
+  })
+
+  this.update(this.repository.server, repositoryData, callback)
+}
+
+/**
+ * Watch will start the watch interval of every active repository; whenever
  * changes are detected, we will receive them through
  * repository.on('update'). See `registry.setup` for more details.
  *
- * @summary Watch the repository for updates.
+ * @summary Watch the repositories for updates.
  * @returns {undefined} void
  */
 exports.watchRepository = function () {
-  const repositoryData = this.getRepositoryDataForCurrentRepository()
-  this.repository.watch(repositoryData)
+  this.activeRepositories.forEach((repository) => {
+    repository.watch(this.repositories[repository.server])
+  })
 }
 
 /**
- * @summary Unwatch the repository for updates.
+ * @summary Unwatch the repositories for updates.
  * @returns {undefined} void
  */
 exports.unwatchRepository = function () {
-  this.repository.unwatch()
+  this.activeRepositories.forEach((repository) => {
+    repository.unwatch()
+  })
 }
@@ -34,6 +34,9 @@ const {
   SAME_FOLDER: 5017,
   NOT_ENOUGH_SPACE: 5018,
   CYTRUS_VERSION_NOT_HANDLED: 5020,
+  ROLLBACK_NOT_AVAILABLE: 5021,
+  INVALID_LAUNCH_PROFILE: 5022,
+  LAUNCH_PROFILE_NOT_FOUND: 5023,
 
   // install, update processes
   LOCATION_NOT_SET: 5006,
@@ -78,9 +81,17 @@ inject(exports, {
   checkConfiguration: require('./checkConfiguration'),
   pathHelper: require('../pathHelper'),
   getKpi: () => require('../kpi'),
+  getAuth: () => require('../auth'),
   update: require('../updater/update'),
+  bundle: require('../updater/bundle'),
+  quickVerify: require('../updater/quickVerify'),
+  updateHelper: require('../updater/helpers/updateHelper'),
+  preload: require('../updater/preload'),
+  serviceEvents: require('../service/events'),
   CYTRUS_VERSION: require('../updater/repository').CYTRUS_VERSION,
   DEFAULT_LAUNCHING_WAIT_IN_MS: 2000,
+  CRASH_RESTART_DELAY_IN_MS: 5 * 1000,
+  getDateNow: () => Date.now(),
 })
 
 const SCHEMA_VERSION_KEY = '_schemaVersion'
@@ -92,11 +103,24 @@ const DEFAULT_RELEASE_DATA = {
   installedFragments: [],
   version: false,
   repositoryVersion: false,
+  repositoryServer: false,
+  preloadVersion: false,
+  preloadedVersion: false,
+  rollbackVersion: false,
+  launchProfiles: [],
+  sessions: [],
+  openSessions: [],
+  playtime: {
+    total: 0,
+    sessionsCount: 0,
+    byAccountId: {},
+  },
   settings: false,
   configuration: false,
   isInstalling: false,
   isUpdating: false,
   isRepairing: false,
+  isRollingBack: false,
   updateDownloadedSize: 0,
   updateDownloadedSizeDate: null,
   updatePausedByUser: false,
@@ -108,6 +132,32 @@ exports.GAME_INSTALL_SEC_30_MS = 30 * 1000
 
 const UPDATE_DOWNLOADED_SIZE_LIFETIME_IN_MS = 24 * 60 * 60 * 1000
 
+/**
+ * @summary How a game process exited
+ */
+const EXIT_REASONS = {
+  // Exited with a 0 code
+  CLEAN: 'clean',
+  // Exited with another code
+  ERROR: 'error',
+  // Killed by a signal, or by an unhandled exception on Windows
+  CRASH: 'crash',
+  // Stopped by the launcher
+  STOPPED: 'stopped',
+  // Still running when the launcher quit or crashed
+  INTERRUPTED: 'interrupted',
+}
+exports.EXIT_REASONS = EXIT_REASONS
+
+// Windows reports the unhandled exceptions as NTSTATUS error codes, such as 0xC0000005
+const WINDOWS_CRASH_EXIT_CODE_MIN = 0xC0000000
+const MAX_SESSIONS_COUNT = 500
+// Sessions sent to the renderer process
+const EXPOSED_SESSIONS_COUNT = 10
+const MAX_CRASH_RESTARTS_COUNT = 3
+// A session which lasted longer than this is not part of a crash loop
+const CRASH_LOOP_DURATION_IN_MS = 5 * 60 * 1000
+
 /**
  * @summary Create a new Release instance
  * @param {string} gameUid - The uid of the game this release belongs to.
@@ -172,6 +222,14 @@ const Release = function (
   this.news = []
   this.tmpLocation = tmp.dirSync().name
   this.instancesToRestart = []
+  // Account each running instance is bound to, by process id
+  this.instancesAccountIds = {}
+  // Sessions of the running instances, by process id
+  this.instancesSessions = {}
+  // Process ids of the instances stopped by the launcher
+  this.instancesStopped = []
+  // Last crash of the release, until the user dismisses it
+  this.lastCrash = null
 }
 
 util.inherits(Release, EventEmitter)
@@ -179,7 +237,6 @@ util.inherits(Release, EventEmitter)
 Release.prototype.setup = function () {
   const {
     fs,
-    logger,
     releaseIpcManager,
   } = this.modules
 
@@ -190,7 +247,30 @@ Release.prototype.setup = function () {
   // Attempt to load from disk
   this.loadFromDisk()
 
-  if (this.isDirty || this.isRepairing || (this.isInstalling && this.location)) {
+  // licenses
+  this.licenses = licenses.get(this.configuration.licensesFolder, this._filepath)
+}
+
+/**
+ * Must be called once the repository of the release is set, so that
+ * the interrupted processes resume against the right repository.
+ *
+ * @summary Resume the update, repair, rollback or move interrupted by a crash or a quit
+ * @returns {undefined} void
+ */
+Release.prototype.resumeInterruptedProcesses = function () {
+  const {
+    logger,
+  } = this.modules
+
+  if (this.isRollingBack) {
+    // a rollback interrupted by a crash or a quit must not be repaired to the repository version
+    this.isDirty = false
+    this.rollback()
+      .catch((error) => {
+        logger.error('release: cannot rollback', error)
+      })
+  } else if (this.isDirty || this.isRepairing || (this.isInstalling && this.location)) {
     this.isDirty = false
     this.isInstalling = false
     this.repair()
@@ -219,9 +299,6 @@ Release.prototype.setup = function () {
         logger.error('release: cannot move', error)
       })
   }
-
-  // licenses
-  this.licenses = licenses.get(this.configuration.licensesFolder, this._filepath)
 }
 
 /**
@@ -244,6 +321,8 @@ Release.prototype.destroy = function () {
   if (this.isUpdateProcessRunning()) {
     this.cancelCurrentUpdate()
   }
+
+  this.cancelPreload()
 }
 
 /**
@@ -308,6 +387,10 @@ Release.prototype.loadFromDisk = function () {
 
   Object.assign(this, deepCopy(DEFAULT_RELEASE_DATA), releaseData)
 
+  if (this.openSessions.length > 0) {
+    this.endInterruptedSessions()
+  }
+
   if (this.location) {
     this.loadLocation()
   }
@@ -389,12 +472,19 @@ Release.prototype.setSettings = function (value) {
  * @returns {undefined} void
  */
 Release.prototype.settingsUpdateCallback = function () {
+  const {
+    serviceEvents,
+  } = this.modules
+
   setTimeout(() => {
     if (!!this.configuration) {
       this.runHook('settings_changed')
     }
   })
   this.emit('settings_changed', this)
+  serviceEvents.publish(serviceEvents.TYPES.SETTINGS_CHANGED, {
+    settings: this.settings.get(),
+  }, (subscription) => subscription.release === this)
 
   // launch the update if required & autoUpdate is on & no running instance
   const installedAndAutoUpdate = this.isInstalled() && this.settings.get().autoUpdate
@@ -403,6 +493,12 @@ Release.prototype.settingsUpdateCallback = function () {
     this.update()
   }
 
+  if (this.settings.get().preload) {
+    this.launchPreloadIfNeeded()
+  } else {
+    this.cancelPreload()
+  }
+
   this.emit('update')
 }
 
@@ -483,8 +579,11 @@ Release.prototype.saveToDisk = function (emitUpdateEvent = true) {
   const {
     logger,
     fs,
+    getDateNow,
   } = this.modules
 
+  const saveDate = getDateNow()
+
   const filepath = path.join(this._filepath, RELEASE_FILE_NAME)
 
   try {
@@ -497,10 +596,23 @@ Release.prototype.saveToDisk = function (emitUpdateEvent = true) {
       location: this.location,
       version: this.version,
       repositoryVersion: this.repositoryVersion,
+      repositoryServer: this.repositoryServer,
+      preloadVersion: this.preloadVersion,
+      preloadedVersion: this.preloadedVersion,
+      rollbackVersion: this.rollbackVersion,
+      launchProfiles: this.launchProfiles,
+      sessions: this.sessions,
+      // The sessions of the running instances are ended on the next launch should the launcher crash
+      openSessions: Object.keys(this.instancesSessions).map((pid) => Object.assign({
+        pid: Number(pid),
+        lastSeenDate: saveDate,
+      }, this.instancesSessions[pid])),
+      playtime: this.playtime,
       installedFragments: this.installedFragments,
       isInstalling: this.isInstalling,
       isUpdating: this.isUpdating,
       isRepairing: this.isRepairing,
+      isRollingBack: this.isRollingBack,
       isMoving: this.isMoving,
       updateDownloadedSize: this.updateDownloadedSize,
       updateDownloadedSizeDate: this.updateDownloadedSizeDate,
@@ -534,14 +646,179 @@ Release.prototype.updateGameData = function (gameId, gameOrder, gameName) {
   this.saveToDisk()
 }
 
+/**
+ * @summary Get the repository the release is installed and updated from
+ * @returns {Repository} the repository
+ */
+Release.prototype.getRepository = function () {
+  return this._repository
+}
+
+/**
+ * The server of the repository is saved with the release, so that the
+ * release keeps being updated from it when several repositories list it.
+ *
+ * @summary Set the repository the release is installed and updated from
+ * @param {Repository} repository - the repository
+ * @return {undefined} void
+ */
+Release.prototype.setRepository = function (repository) {
+  Object.defineProperty(this, '_repository', {
+    value: repository,
+    enumerable: false,
+    configurable: true,
+  })
+  this.repositoryServer = repository.server
+}
+
 /**
  * @summary Update the repository version and launch or restart an update if needed
  * @param {string} repositoryVersion - the repository version
  * @return {undefined} void
  */
 Release.prototype.setRepositoryVersion = function (repositoryVersion) {
+  const {
+    serviceEvents,
+  } = this.modules
+
+  const hasChanged = repositoryVersion !== this.repositoryVersion
   this.repositoryVersion = repositoryVersion
+
+  if (hasChanged && this.isUpdateAvailable()) {
+    serviceEvents.publish(serviceEvents.TYPES.UPDATE_AVAILABLE, {
+      version: repositoryVersion,
+    }, (subscription) => subscription.release === this)
+  }
+
   this.launchOrRestartUpdateIfNeeded()
+  this.launchPreloadIfNeeded()
+}
+
+/**
+ * The preload itself is launched once the repository version is set,
+ * see `setRepositoryVersion`.
+ *
+ * @summary Set the upcoming version advertised by the repository
+ * @param {String|Boolean} [preloadVersion] - the upcoming version, false if there is none
+ * @return {undefined} void
+ */
+Release.prototype.setPreloadVersion = function (preloadVersion = false) {
+  if (preloadVersion !== this.preloadVersion) {
+    this.cancelPreload()
+  }
+
+  this.preloadVersion = preloadVersion
+}
+
+/**
+ * @summary Check if the upcoming version of the release can be preloaded
+ * @returns {boolean} True if the upcoming version can be preloaded
+ */
+Release.prototype.isPreloadAvailable = function () {
+  const {
+    connectivity,
+  } = this.modules
+
+  if (!this.isInstalled() || !this.preloadVersion || !this.settings || !this.settings.get().preload) {
+    return false
+  }
+
+  // Releases are only preloaded when they are up to date
+  if (this.isUpdateAvailable() || this.isUpdating || this.isRepairing || this.isUpdateProcessRunning() || this.isMoving) {
+    return false
+  }
+
+  if (this._repository.isLocal || !connectivity.isOnline) {
+    return false
+  }
+
+  return this.preloadVersion !== this.version &&
+    this.preloadVersion !== this.repositoryVersion &&
+    this.preloadVersion !== this.preloadedVersion &&
+    this.isGameVersionHandledByCytrus(this.preloadVersion)
+}
+
+/**
+ * @summary Launch the preload of the upcoming version if needed
+ * @return {undefined} void
+ */
+Release.prototype.launchPreloadIfNeeded = function () {
+  if (!this.currentPreload && this.isPreloadAvailable()) {
+    this.preload()
+  }
+}
+
+/**
+ * The files of the upcoming version are downloaded in the background,
+ * and taken by the update once this version goes live.
+ *
+ * @summary Preload the upcoming version of the release.
+ * @returns {Promise} Promise resolved when the preload ends, even if it fails
+ */
+Release.prototype.preload = function () {
+  const {
+    logger,
+    preload,
+  } = this.modules
+
+  const version = this.preloadVersion
+  const logData = {
+    gameUid: this.gameUid,
+    releaseName: this.name,
+    version,
+  }
+
+  logger.info('release: preloading', logData)
+
+  const currentPreload = preload.start(
+    this._repository,
+    this.gameUid,
+    this.name,
+    version,
+    this.configuration.fragments,
+    this.location
+  )
+  this.currentPreload = currentPreload
+  this.emit('update')
+
+  return currentPreload
+    .then(() => {
+      logger.info('release: preloaded', logData)
+      this.preloadedVersion = version
+    })
+    .catch((error) => {
+      if (error.name !== 'ControllablePromiseCancelError') {
+        logger.warn('release: cannot preload', error)
+      }
+    })
+    .then(() => {
+      if (this.currentPreload === currentPreload) {
+        this.currentPreload = null
+      }
+      this.saveToDisk()
+    })
+}
+
+/**
+ * The files already preloaded are kept.
+ *
+ * @summary Cancel the preload of the upcoming version
+ * @returns {undefined} void
+ */
+Release.prototype.cancelPreload = function () {
+  const {
+    logger,
+  } = this.modules
+
+  if (!this.currentPreload) {
+    return
+  }
+
+  this.currentPreload.cancel()
+    .catch((error) => {
+      logger.debug('release: cannot cancel preload', error.message)
+    })
+  this.currentPreload = null
 }
 
 /**
@@ -822,6 +1099,7 @@ Release.prototype.stop = function (pos = 0, signal = 'SIGTERM') {
     throw new ZaapError(PROCESS_NOT_FOUND, `Process ${pos} does not exist!`)
   }
 
+  this.instancesStopped.push(proc.pid)
   proc.kill(signal)
   this.runHook('stop')
 }
@@ -832,18 +1110,24 @@ Release.prototype.stop = function (pos = 0, signal = 'SIGTERM') {
  * @returns {undefined} void
  */
 Release.prototype.stopAll = function (signal = 'SIGTERM') {
-  this.runningInstances.forEach(function (proc) {
+  this.runningInstances.forEach((proc) => {
+    this.instancesStopped.push(proc.pid)
     proc.kill(signal)
   })
   this.runHook('stop')
 }
 
 /**
+ * The instances are bound to the accounts of `accountIds`, in order;
+ * the instances without an account are bound to the active one.
+ *
  * @summary Start multiple instances in series.
  * @param {number} remainingInstancesToStart - Number of instances to start
+ * @param {Array<number>} [accountIds] - Account each instance is bound to
+ * @param {String} [launchProfileName] - Name of the launch profile of the instances
  * @returns {Promise} When all instance launch are complete
  */
-Release.prototype.startSeries = function (remainingInstancesToStart) {
+Release.prototype.startSeries = function (remainingInstancesToStart, accountIds = [], launchProfileName = null) {
   const {
     logger,
   } = this.modules
@@ -853,10 +1137,10 @@ Release.prototype.startSeries = function (remainingInstancesToStart) {
       return resolve()
     }
     const handleLaunched = () => {
-      resolve(this.startSeries(remainingInstancesToStart - 1))
+      resolve(this.startSeries(remainingInstancesToStart - 1, accountIds.slice(1), launchProfileName))
     }
     this.once('series-launched', handleLaunched)
-    this.start()
+    this.start(accountIds[0], launchProfileName)
       .catch((error) => {
         logger.error('release:', error)
         this.removeListener('series-launched', handleLaunched)
@@ -866,10 +1150,16 @@ Release.prototype.startSeries = function (remainingInstancesToStart) {
 }
 
 /**
+ * A launch profile adds its arguments after the ones of the
+ * configuration, and its environment variables to the ones of the
+ * service, which it can not override.
+ *
  * @summary Start a new instance of the game release.
+ * @param {Number} [accountId] - Account the instance is bound to, the active one by default
+ * @param {String} [launchProfileName] - Name of the launch profile to start the instance with
  * @returns {Promise} Promise object
  */
-Release.prototype.start = function () {
+Release.prototype.start = function (accountId, launchProfileName = null) {
   const {
     logger,
     service,
@@ -878,9 +1168,13 @@ Release.prototype.start = function () {
     fs,
     checkConfiguration,
     getKpi,
+    getAuth,
+    updateQueue,
     DEFAULT_LAUNCHING_WAIT_IN_MS,
+    getDateNow,
   } = this.modules
   const kpi = getKpi()
+  const boundAccountId = accountId || getAuth().getActiveAccountId()
 
   const {
     NOT_INSTALLED,
@@ -888,15 +1182,30 @@ Release.prototype.start = function () {
     UPDATE_RUNNING,
     MAX_RUNNING_INSTANCES_REACHED,
     IS_MOVING,
+    LAUNCH_PROFILE_NOT_FOUND,
+    INVALID_LAUNCH_PROFILE,
   } = errors
 
   const {
     configuration,
   } = this
 
+  const launchProfile = launchProfileName ? this.getLaunchProfile(launchProfileName) : null
+
   kpi.gameLaunch()
 
   return new Promise((resolve, reject) => {
+    if (launchProfileName && !launchProfile) {
+      return reject(new ZaapError(
+        LAUNCH_PROFILE_NOT_FOUND,
+        `Cannot start, the launch profile ${launchProfileName} does not exist`,
+        'release.error.cannotStartLaunchProfileNotFound',
+        {
+          name: launchProfileName,
+        }
+      ))
+    }
+
     if (!this.isInstalled()) {
       return reject(new ZaapError(
         NOT_INSTALLED,
@@ -941,23 +1250,41 @@ Release.prototype.start = function () {
       return reject(new Error('release: cannot start, settings file has been deleted'))
     }
 
+    if (launchProfile && launchProfile.cwd && !fs.existsSync(path.resolve(this.location, launchProfile.cwd))) {
+      return reject(new ZaapError(
+        INVALID_LAUNCH_PROFILE,
+        `Cannot start, the working directory of the launch profile ${launchProfileName} does not exist`,
+        'release.error.cannotStartLaunchProfileCwdNotFound',
+        {
+          name: launchProfileName,
+        }
+      ))
+    }
+
     fs.mkdirpSync(this.getLogsPath())
 
     checkConfiguration(this.location, this.configuration)
       .then(() => {
         // Tell the service API that we are about to start a new process instance
-        const serviceInfo = service.createEnvironmentForRelease(this)
+        const serviceInfo = service.createEnvironmentForRelease(this, boundAccountId)
+
+        const {
+          arguments: profileArguments = [],
+          env: profileEnv = {},
+          cwd: profileCwd = null,
+        } = launchProfile || {}
 
         // Start the process
         const proc = scriptSpawner.spawn(
           this.location,
           configuration.executable,
-          configuration.arguments,
-          serviceInfo.env
+          configuration.arguments.concat(profileArguments),
+          Object.assign({}, profileEnv, serviceInfo.env),
+          profileCwd ? path.resolve(this.location, profileCwd) : this.location
         )
 
         // Monitor and auto-cleanup
-        proc.on('exit', (code) => {
+        proc.on('exit', (code, signal) => {
           // Tell the service API to invalidate the credentials created
           // for this process instance
           service.invalidateCredentials(this, serviceInfo.id)
@@ -966,22 +1293,33 @@ Release.prototype.start = function () {
           const shouldRestart = this.instancesToRestart.includes(serviceInfo.id)
           this.instancesToRestart = this.instancesToRestart.filter((id) => serviceInfo.id !== id)
 
+          const session = this.endSession(proc.pid, code, signal)
+
           logger.info('Release exited', {
             name: this.gameName,
             release: this.name,
             code: code,
+            signal,
+            exitReason: session.exitReason,
             pid: proc.pid,
             instanceId: serviceInfo.id,
             shouldRestart,
           })
 
           this.runningInstances = this.runningInstances.filter((procInstance) => proc.pid !== procInstance.pid)
+          delete this.instancesAccountIds[proc.pid]
           this.isLaunching = false
-          this.emit('update')
+
+          const shouldRestartAfterCrash = !shouldRestart && !this.updateOnExit && this.restartAfterCrash(session)
+          this.reportCrash(session, shouldRestartAfterCrash)
+          this.saveToDisk()
+
+          // Updates may have been paused while the game was running
+          updateQueue.checkPauseState()
 
           if (shouldRestart) {
             logger.info('Restarting release...')
-            this.start()
+            this.start(boundAccountId, launchProfileName)
               .catch((error) => {
                 logger.error('release: cannot restart', error)
               })
@@ -997,7 +1335,15 @@ Release.prototype.start = function () {
         // Add to the running instances
         this.isLaunching = true
         this.runningInstances.push(proc)
+        this.instancesAccountIds[proc.pid] = boundAccountId
+        this.instancesSessions[proc.pid] = {
+          startDate: getDateNow(),
+          accountId: boundAccountId,
+          launchProfileName,
+          crashRestartsCount: 0,
+        }
         this.saveToDisk()
+        updateQueue.checkPauseState()
 
         // If we do not need to wait start to start next instance,
         // unlock the launching state after DEFAULT_LAUNCHING_WAIT_IN_MS
@@ -1013,6 +1359,346 @@ Release.prototype.start = function () {
   })
 }
 
+/**
+ * Dates are written in ISO 8601 and durations in seconds, so that the
+ * file can be opened by any spreadsheet.
+ *
+ * @summary Export the session history of the release as CSV
+ * @param {String} filepath - path of the CSV file to write
+ * @returns {Promise} Promise resolved once the file is written
+ */
+Release.prototype.exportPlaytime = function (filepath) {
+  const {
+    fs,
+  } = this.modules
+
+  const columns = ['startDate', 'endDate', 'duration', 'accountId', 'launchProfileName', 'exitReason', 'exitCode', 'signal']
+  const lines = this.sessions.map((session) => [
+    new Date(session.startDate).toISOString(),
+    new Date(session.endDate).toISOString(),
+    Math.round(session.duration / 1000),
+    session.accountId,
+    session.launchProfileName,
+    session.exitReason,
+    session.exitCode,
+    session.signal,
+  ].map(toCsvField).join(','))
+
+  return fs.writeFile(filepath, [columns.join(',')].concat(lines).join('\n') + '\n')
+}
+
+/**
+ * @summary Classify the exit of an instance
+ * @param {Number|null} code - exit code of the process, null if it was killed by a signal
+ * @param {String|null} signal - signal which killed the process
+ * @param {Boolean} isStoppedByLauncher - true if the instance was stopped by the launcher
+ * @returns {String} one of EXIT_REASONS
+ */
+Release.prototype.getExitReason = function (code, signal, isStoppedByLauncher) {
+  if (isStoppedByLauncher) {
+    return EXIT_REASONS.STOPPED
+  }
+
+  if (signal || code >= WINDOWS_CRASH_EXIT_CODE_MIN) {
+    return EXIT_REASONS.CRASH
+  }
+
+  return code === 0 ? EXIT_REASONS.CLEAN : EXIT_REASONS.ERROR
+}
+
+/**
+ * Only the last MAX_SESSIONS_COUNT sessions are kept in the history, while
+ * the playtime counts every session.
+ *
+ * @summary Add the session of an exited instance to the history and the playtime of the release
+ * @param {Number} pid - process id of the instance
+ * @param {Number|null} code - exit code of the process
+ * @param {String|null} signal - signal which killed the process
+ * @returns {Object} the session, as { startDate, endDate, duration, accountId, launchProfileName, exitCode, signal, exitReason, crashRestartsCount }
+ */
+Release.prototype.endSession = function (pid, code, signal) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  const endDate = getDateNow()
+  const {
+    startDate = endDate,
+    accountId = null,
+    launchProfileName = null,
+    crashRestartsCount = 0,
+  } = this.instancesSessions[pid] || {}
+
+  const session = {
+    startDate,
+    endDate,
+    duration: endDate - startDate,
+    accountId,
+    launchProfileName,
+    exitCode: code,
+    signal: signal || null,
+    exitReason: this.getExitReason(code, signal, this.instancesStopped.includes(pid)),
+  }
+
+  delete this.instancesSessions[pid]
+  this.instancesStopped = this.instancesStopped.filter((stoppedPid) => stoppedPid !== pid)
+
+  this.addSession(session)
+
+  return Object.assign({
+    crashRestartsCount,
+  }, session)
+}
+
+/**
+ * @summary Add an ended session to the history and the playtime of the release
+ * @param {Object} session - the session, as { startDate, endDate, duration, accountId, launchProfileName, exitCode, signal, exitReason }
+ * @returns {undefined} void
+ */
+Release.prototype.addSession = function (session) {
+  this.sessions = this.sessions.concat(session).slice(-MAX_SESSIONS_COUNT)
+
+  this.playtime.total += session.duration
+  this.playtime.sessionsCount += 1
+  if (session.accountId !== null) {
+    this.playtime.byAccountId[session.accountId] = (this.playtime.byAccountId[session.accountId] || 0) + session.duration
+  }
+}
+
+/**
+ * The instances still running when the launcher quit or crashed are no
+ * longer monitored, their sessions end at the last date the release was
+ * saved: the time played after it is not counted.
+ *
+ * @summary End the sessions which were open when the launcher last exited
+ * @returns {undefined} void
+ */
+Release.prototype.endInterruptedSessions = function () {
+  const {
+    logger,
+  } = this.modules
+
+  logger.info('release: ending the sessions interrupted by the last exit of the launcher', {
+    release: this.name,
+    count: this.openSessions.length,
+  })
+
+  this.openSessions.forEach(({ startDate, lastSeenDate, accountId, launchProfileName }) => {
+    this.addSession({
+      startDate,
+      endDate: lastSeenDate,
+      duration: Math.max(lastSeenDate - startDate, 0),
+      accountId,
+      launchProfileName,
+      exitCode: null,
+      signal: null,
+      exitReason: EXIT_REASONS.INTERRUPTED,
+    })
+  })
+
+  this.openSessions = []
+  this.saveToDisk(false)
+}
+
+/**
+ * Crashed instances are only restarted when the autoRestartOnCrash setting
+ * is enabled. The delay doubles each time the instance crashes again shortly
+ * after being restarted, and the launcher gives up after
+ * MAX_CRASH_RESTARTS_COUNT restarts in a row.
+ *
+ * @summary Restart a crashed instance if needed
+ * @param {Object} session - session of the instance, as returned by endSession
+ * @returns {Boolean} true if the instance will be restarted
+ */
+Release.prototype.restartAfterCrash = function (session) {
+  const {
+    logger,
+    settings,
+    CRASH_RESTART_DELAY_IN_MS,
+  } = this.modules
+
+  if (session.exitReason !== EXIT_REASONS.CRASH || !this.settings ||
+    !this.settings.get()[settings.KEYS.AUTO_RESTART_ON_CRASH]) {
+    return false
+  }
+
+  const crashRestartsCount = session.duration < CRASH_LOOP_DURATION_IN_MS ? session.crashRestartsCount + 1 : 1
+
+  if (crashRestartsCount > MAX_CRASH_RESTARTS_COUNT) {
+    logger.warn(`release: ${this.getFullName()} crashed again after ${MAX_CRASH_RESTARTS_COUNT} restarts, it will not be restarted`)
+    return false
+  }
+
+  const delay = CRASH_RESTART_DELAY_IN_MS * Math.pow(2, crashRestartsCount - 1)
+  logger.info(`release: restarting ${this.getFullName()} after a crash in ${delay}ms`, {
+    crashRestartsCount,
+  })
+
+  setTimeout(() => {
+    this.start(session.accountId, session.launchProfileName)
+      .then((proc) => {
+        if (this.instancesSessions[proc.pid]) {
+          this.instancesSessions[proc.pid].crashRestartsCount = crashRestartsCount
+        }
+      })
+      .catch((error) => {
+        logger.error('release: cannot restart after a crash', error)
+      })
+  }, delay)
+
+  return true
+}
+
+/**
+ * The renderer process shows the last crash, with the log files written
+ * during the session, until the user dismisses it.
+ *
+ * @summary Keep the last crash of the release
+ * @param {Object} session - session of the instance, as returned by endSession
+ * @param {Boolean} willRestart - true if the instance will be restarted
+ * @returns {undefined} void
+ */
+Release.prototype.reportCrash = function (session, willRestart) {
+  const {
+    logger,
+  } = this.modules
+
+  if (session.exitReason !== EXIT_REASONS.CRASH && session.exitReason !== EXIT_REASONS.ERROR) {
+    return
+  }
+
+  const logsPath = this.getLogsPath()
+  const logFiles = this.getLogFilesSince(session.startDate)
+
+  logger.warn(`release: ${this.getFullName()} exited abnormally`, {
+    exitCode: session.exitCode,
+    signal: session.signal,
+    exitReason: session.exitReason,
+    logsPath,
+    logFiles,
+  })
+
+  this.lastCrash = Object.assign({
+    logsPath,
+    logFiles,
+    willRestart,
+  }, session)
+}
+
+/**
+ * @summary List the log files of the release modified since a date
+ * @param {Number} date - timestamp, in milliseconds
+ * @returns {Array<String>} the paths of the files, relative to the logs folder
+ */
+Release.prototype.getLogFilesSince = function (date) {
+  const {
+    fs,
+    logger,
+  } = this.modules
+
+  const logsPath = this.getLogsPath()
+
+  try {
+    return fs.readdirSync(logsPath)
+      .filter((fileName) => {
+        const stats = fs.statSync(path.join(logsPath, fileName))
+        return stats.isFile() && stats.mtime.getTime() >= date
+      })
+      .sort()
+  } catch (error) {
+    logger.warn('release: cannot list the log files', error)
+    return []
+  }
+}
+
+/**
+ * @summary Forget the last crash of the release
+ * @returns {undefined} void
+ */
+Release.prototype.dismissCrash = function () {
+  this.lastCrash = null
+  this.emit('update')
+}
+
+/**
+ * @summary Get a launch profile of the release
+ * @param {String} name - name of the profile
+ * @returns {Object|null} the profile, as { name, arguments, env, cwd }, null if it does not exist
+ */
+Release.prototype.getLaunchProfile = function (name) {
+  return this.launchProfiles.find((launchProfile) => launchProfile.name === name) || null
+}
+
+/**
+ * The working directory of a profile is relative to the location of the
+ * release, the one of the release is used when it is empty.
+ *
+ * @summary Add a launch profile to the release, or replace the one with the same name
+ * @param {Object} launchProfile - the profile, as { name, arguments, env, cwd }
+ * @param {String} [previousName] - name of the profile to replace, when it is renamed
+ * @returns {undefined} void
+ */
+Release.prototype.setLaunchProfile = function (launchProfile, previousName = launchProfile.name) {
+  const {
+    INVALID_LAUNCH_PROFILE,
+  } = errors
+
+  const name = typeof launchProfile.name === 'string' ? launchProfile.name.trim() : ''
+  const args = launchProfile.arguments || []
+  const env = launchProfile.env || {}
+  const cwd = launchProfile.cwd || null
+
+  const isValid = name.length > 0 &&
+    Array.isArray(args) && args.every((arg) => typeof arg === 'string') &&
+    typeof env === 'object' && Object.keys(env).every((key) => typeof env[key] === 'string') &&
+    (cwd === null || typeof cwd === 'string')
+
+  if (!isValid) {
+    throw new ZaapError(
+      INVALID_LAUNCH_PROFILE,
+      `Invalid launch profile ${name}`,
+      'release.error.invalidLaunchProfile'
+    )
+  }
+
+  if (name !== previousName && this.getLaunchProfile(name)) {
+    throw new ZaapError(
+      INVALID_LAUNCH_PROFILE,
+      `A launch profile named ${name} already exists`,
+      'release.error.launchProfileAlreadyExists',
+      {
+        name,
+      }
+    )
+  }
+
+  const newLaunchProfile = {
+    name,
+    arguments: args,
+    env,
+    cwd,
+  }
+
+  const index = this.launchProfiles.findIndex((existingLaunchProfile) => existingLaunchProfile.name === previousName)
+  if (index === -1) {
+    this.launchProfiles.push(newLaunchProfile)
+  } else {
+    this.launchProfiles.splice(index, 1, newLaunchProfile)
+  }
+
+  this.saveToDisk()
+}
+
+/**
+ * @summary Remove a launch profile of the release
+ * @param {String} name - name of the profile
+ * @returns {undefined} void
+ */
+Release.prototype.removeLaunchProfile = function (name) {
+  this.launchProfiles = this.launchProfiles.filter((launchProfile) => launchProfile.name !== name)
+  this.saveToDisk()
+}
+
 /**
  * @summary Set an instance to restart on exit
  * @param {String} [instanceId] - Instance id
@@ -1073,9 +1759,10 @@ Release.prototype.ensureLocationExists = function (location) {
 /**
  * @summary Download and compile configuration in a temp folder
  * @param {String} version - Version of the configuration to load
+ * @param {Repository} [repository] - Repository to load the configuration from
  * @returns {Promise} Promise object
  */
-Release.prototype.loadConfigurationInTempFolder = function (version) {
+Release.prototype.loadConfigurationInTempFolder = function (version, repository = this._repository) {
   const {
     Update,
     actionFactory,
@@ -1096,7 +1783,7 @@ Release.prototype.loadConfigurationInTempFolder = function (version) {
   return new Promise((resolve, reject) => {
     const up = new Update(
       Update.types.PRE_INSTALL,
-      this._repository,
+      repository,
       this.gameUid,
       this.name,
       version,
@@ -1126,12 +1813,12 @@ Release.prototype.loadConfigurationInTempFolder = function (version) {
  * @param {String} updateType - Type of update
  * @param {String} version - Version to target for this update process.
  * @param {Boolean} fromScratch - If the update is an installation from scratch
+ * @param {Repository} [repository] - Repository to get the files from
  * @returns {Promise} Promise object instance.
  * @private
  */
-Release.prototype.createUpdate = function (updateType, version, fromScratch = false) {
+Release.prototype.createUpdate = function (updateType, version, fromScratch = false, repository = this._repository) {
   const {
-    _repository: repository,
     location,
   } = this
 
@@ -1142,6 +1829,8 @@ Release.prototype.createUpdate = function (updateType, version, fromScratch = fa
     logger,
     connectivity,
     getKpi,
+    preload,
+    updateHelper,
   } = this.modules
 
   const {
@@ -1161,7 +1850,7 @@ Release.prototype.createUpdate = function (updateType, version, fromScratch = fa
     ))
   }
 
-  if (!connectivity.isOnline) {
+  if (!connectivity.isOnline && !repository.isLocal) {
     return Promise.reject(new ZaapError(
       CANNOT_UPDATE_WHILE_OFFLINE,
       'Cannot update while offline',
@@ -1200,7 +1889,13 @@ Release.prototype.createUpdate = function (updateType, version, fromScratch = fa
     ))
   }
 
-  return this.loadConfigurationInTempFolder(version)
+  // The update takes the files already preloaded
+  this.cancelPreload()
+
+  const previousVersion = this.version
+
+  return this.loadConfigurationInTempFolder(version, repository)
+    .then(() => this.saveRollbackIfNeeded(updateType, version))
     .then(() => {
       this.configuration.setPath(this.location)
 
@@ -1238,6 +1933,7 @@ Release.prototype.createUpdate = function (updateType, version, fromScratch = fa
         this.isInstalling = false
         this.isUpdating = false
         this.isRepairing = false
+        this.isRollingBack = false
         this.currentUpdate = false
         this.updateDownloadedSize = 0
         this.updateDownloadedSizeDate = 0
@@ -1295,8 +1991,26 @@ Release.prototype.createUpdate = function (updateType, version, fromScratch = fa
         this.installedFragments = this.configuration.fragments
         this.version = version
         this.licenses = licenses.create(this.configuration.licensesFolder, this.location, this._filepath)
+
+        // Keep the preloaded files while another version is upcoming, they are checked again by the next preload
+        if (!this.preloadVersion || this.preloadVersion === version) {
+          preload.clear(location)
+        }
+        this.preloadedVersion = false
+
+        if (up.type === Update.types.ROLLBACK) {
+          this.rollbackVersion = false
+          updateHelper.removeRollback(location)
+            .catch((error) => {
+              logger.warn('release: cannot remove the rollback hashes', error)
+            })
+        } else if (up.type === Update.types.UPDATE && previousVersion && previousVersion !== version) {
+          this.rollbackVersion = previousVersion
+        }
+
         cleanup()
         this.runHook('post_update')
+        this.launchPreloadIfNeeded()
       })
 
       this.currentUpdate = up
@@ -1318,6 +2032,29 @@ Release.prototype.isGameVersionHandledByCytrus = function (version) {
   return version.startsWith(CYTRUS_VERSION)
 }
 
+/**
+ * @summary Record the hashes of the installed version before updating to another one
+ * @param {Symbol} updateType - Type of update
+ * @param {String} version - Version the release is updated to
+ * @returns {Promise} Promise resolved once the hashes are recorded, even if it fails
+ */
+Release.prototype.saveRollbackIfNeeded = function (updateType, version) {
+  const {
+    Update,
+    logger,
+    updateHelper,
+  } = this.modules
+
+  if (updateType !== Update.types.UPDATE || !this.version || this.version === version) {
+    return Promise.resolve()
+  }
+
+  return updateHelper.saveRollback(this.location, this.version)
+    .catch((error) => {
+      logger.warn('release: cannot record the hashes for a rollback', error)
+    })
+}
+
 /**
  * @summary Cancel the current update
  * @returns {undefined} void
@@ -1369,12 +2106,16 @@ Release.prototype.restartInstall = function () {
  * We only do a quick sanity check to confirm that the location
  * is accessible and load empty configuration and settings objects.
  *
+ * When a bundle is given, the version of the bundle is installed and
+ * every file is read from the bundle instead of the repository.
+ *
  * @summary Install the release at the given location.
  * @param {string} location - Where to install the game on disk.
  * @param {boolean} fromScratch - If the installation is not a continuation of a previous install
+ * @param {string} [bundlePath] - Folder of a bundle exported from another machine
  * @returns {Promise} void
  */
-Release.prototype.install = function (location, fromScratch = false) {
+Release.prototype.install = function (location, fromScratch = false, bundlePath = null) {
   const {
     buildConfig,
     platform,
@@ -1382,24 +2123,32 @@ Release.prototype.install = function (location, fromScratch = false) {
     pathHelper,
     disk,
     getKpi,
+    bundle,
   } = this.modules
   const kpi = getKpi()
 
-  const {
-    repositoryVersion,
-  } = this
-
   const {
     NOT_ENOUGH_SPACE,
     USER_PERMISSIONS,
   } = errors
 
   let sec30Timer
+  let repository = this._repository
+  let version = this.repositoryVersion
 
-  return Promise.all([
-    this.getInstallationSize(),
-    disk.getDriveInfo(location),
-  ]).then(([installationSize, driveInfo]) => {
+  const openBundle = bundlePath ? bundle.open(bundlePath, this.gameUid, this.name) : Promise.resolve(null)
+
+  return openBundle.then((bundleRepository) => {
+    if (bundleRepository) {
+      repository = bundleRepository
+      version = bundleRepository.manifest.version
+    }
+
+    return Promise.all([
+      this.getInstallationSize(version, repository),
+      disk.getDriveInfo(location),
+    ])
+  }).then(([installationSize, driveInfo]) => {
     if (installationSize >= driveInfo.free) {
       throw new ZaapError(
         NOT_ENOUGH_SPACE,
@@ -1441,7 +2190,7 @@ Release.prototype.install = function (location, fromScratch = false) {
       updateType = Update.types.INSTALL
     }
 
-    return this.createUpdate(updateType, repositoryVersion, fromScratch)
+    return this.createUpdate(updateType, version, fromScratch, repository)
   }).then(() => {
     this.currentUpdate.on('completed', () => {
       clearTimeout(sec30Timer)
@@ -1531,6 +2280,7 @@ Release.prototype.move = function (location, skipLocationIsInstallableChecks = f
       ))
     }
 
+    this.cancelPreload()
     this.ensureLocationExists(location)
 
     if (!skipLocationIsInstallableChecks) {
@@ -1720,6 +2470,135 @@ Release.prototype.repair = function () {
   return this.createUpdate(Update.types.REPAIR, repositoryVersion)
 }
 
+/**
+ * The files of the version installed before the last update are
+ * downloaded again, using the hashes recorded before this update: the
+ * repository does not need to list this version anymore, but must still
+ * serve its files, configuration included.
+ *
+ * Automatic updates are turned off, otherwise the release would be
+ * updated again right away.
+ *
+ * @summary Roll the game release back to its previous version.
+ * @returns {Promise} Promise object.
+ */
+Release.prototype.rollback = function () {
+  const {
+    rollbackVersion,
+  } = this
+
+  const {
+    Update,
+    settings,
+  } = this.modules
+
+  const {
+    NOT_INSTALLED,
+    ROLLBACK_NOT_AVAILABLE,
+  } = errors
+
+  if (!this.isInstalled()) {
+    return Promise.reject(new ZaapError(
+      NOT_INSTALLED,
+      'Cannot rollback, not installed',
+      'release.error.cannotRollbackNotInstalled'
+    ))
+  }
+
+  if (!rollbackVersion) {
+    return Promise.reject(new ZaapError(
+      ROLLBACK_NOT_AVAILABLE,
+      'Cannot rollback, no previous version was recorded',
+      'release.error.cannotRollbackNoPreviousVersion'
+    ))
+  }
+
+  // A rollback interrupted by a crash or a quit must be resumed on the next launch, even if it cannot start now
+  const isResumed = this.isRollingBack
+
+  this.isRollingBack = true
+  return this.createUpdate(Update.types.ROLLBACK, rollbackVersion)
+    .catch((error) => {
+      if (!isResumed) {
+        this.isRollingBack = false
+        this.saveToDisk()
+      }
+      throw error
+    })
+    .then((up) => {
+      this.settings.set({
+        [settings.KEYS.AUTO_UPDATE]: false,
+      })
+      return up
+    })
+}
+
+/**
+ * Only the files which were modified since they were downloaded are hashed.
+ * A repair is started when a file is missing or corrupted.
+ *
+ * @summary Quickly verify the files of the game release.
+ * @param {Function} [onProgress] - called with { filesProgress, filesTotal } after each file
+ * @returns {Promise} Promise resolved with the verification result, with repairStarted set to true if a repair was started
+ */
+Release.prototype.verify = function (onProgress) {
+  const {
+    NOT_INSTALLED,
+    UPDATE_RUNNING,
+  } = errors
+
+  const {
+    logger,
+    quickVerify,
+  } = this.modules
+
+  if (!this.isInstalled()) {
+    return Promise.reject(new ZaapError(
+      NOT_INSTALLED,
+      'Cannot verify, not installed!',
+      'release.error.cannotVerifyNotInstalled'
+    ))
+  }
+
+  if (this.isUpdateProcessRunning()) {
+    return Promise.reject(new ZaapError(
+      UPDATE_RUNNING,
+      'Cannot verify, an update is running',
+      'release.error.cannotVerifyUpdateRunning'
+    ))
+  }
+
+  return quickVerify.verify(this.location, onProgress)
+    .catch((error) => {
+      logger.warn('release: cannot read the local hashes to verify the files', error)
+      return {
+        isValid: false,
+        checkedFilesCount: 0,
+        hashedFilesCount: 0,
+        missing: [],
+        corrupted: [],
+      }
+    })
+    .then((result) => {
+      logger.info('release: files verified', {
+        gameUid: this.gameUid,
+        releaseName: this.name,
+        isValid: result.isValid,
+        checked: result.checkedFilesCount,
+        hashed: result.hashedFilesCount,
+        missing: result.missing.length,
+        corrupted: result.corrupted.length,
+      })
+
+      if (result.isValid) {
+        return result
+      }
+
+      return this.repair()
+        .then(() => Object.assign({ repairStarted: true }, result))
+    })
+}
+
 /**
  * @summary Clean release state after uninstall
  * @param {Boolean} shouldSendKpiUninstall - Will send KPI uninstall data if set to true
@@ -1751,6 +2630,7 @@ Release.prototype.cleanAfterUninstall = function (shouldSendKpiUninstall) {
   this.isDirty = false
 
   this.version = false
+  this.rollbackVersion = false
   this.updateDownloadedSize = 0
   this.updateDownloadedSizeDate = 0
 
@@ -1777,6 +2657,7 @@ Release.prototype.uninstall = function () {
 
   let shouldSendKpiUninstall = true
   this.isOpenedByExternalProcess = false
+  this.cancelPreload()
 
   return new Promise((resolve, reject) => {
     if (this.isUpdateProcessRunning()) {
@@ -1914,6 +2795,7 @@ Release.prototype.expose = function () {
     folderName: this.getFolderName(),
     location: this.location,
     runningInstances: Array.from(this.runningInstances, x => x.pid),
+    runningInstancesAccountIds: Array.from(this.runningInstances, x => this.instancesAccountIds[x.pid] || null),
     information: this.information,
     settings: this.settings ?
       {
@@ -1933,6 +2815,16 @@ Release.prototype.expose = function () {
     ratings: ratings.get(this.information.default),
     hasLicenses: this.isInstalled() && !!this.configuration.licensesFolder,
     version: this.version,
+    rollbackVersion: this.rollbackVersion,
+    isRollingBack: this.isRollingBack,
+    launchProfiles: this.launchProfiles,
+    lastSessions: this.sessions.slice(-EXPOSED_SESSIONS_COUNT).reverse(),
+    playtime: this.playtime,
+    lastCrash: this.lastCrash,
+    repositoryServer: this.repositoryServer,
+    preloadVersion: this.preloadVersion,
+    isPreloading: !!this.currentPreload,
+    isPreloaded: !!this.preloadVersion && this.preloadVersion === this.preloadedVersion,
   }
 
   if (this.currentUpdate) {
@@ -1946,12 +2838,13 @@ Release.prototype.expose = function () {
  * Compute the size of the installation
  * @summary Compute the size of the installation
  * @param {String} [version] - Version to compute installation size.
+ * @param {Repository} [repository] - Repository to get the release meta from
  * @returns {Promise} Promise object
  */
-Release.prototype.getInstallationSize = function (version = this.repositoryVersion) {
+Release.prototype.getInstallationSize = function (version = this.repositoryVersion, repository = this._repository) {
   return Promise.all([
-    this.loadConfigurationInTempFolder(version),
-    this._repository.getReleaseMeta(this.gameUid, this.name, PLATFORM, version),
+    this.loadConfigurationInTempFolder(version, repository),
+    repository.getReleaseMeta(this.gameUid, this.name, PLATFORM, version),
   ]).then(([fragments, releaseMeta]) => {
     if (fragments.indexOf('configuration') === -1) {
       fragments = ['configuration', ...fragments]
@@ -1961,3 +2854,18 @@ Release.prototype.getInstallationSize = function (version = this.repositoryVersi
     )
   })
 }
+
+/**
+ * @summary Format a value as a CSV field
+ * @param {*} value - value of the field
+ * @returns {String} the field, quoted if needed
+ * @private
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  const field = String(value)
+  return /[",\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+}
@@ -138,6 +138,26 @@ exports.setup = function () {
     this.start.bind(this)
   )
 
+  ipcMain.on(
+    remoteCommunication.CHANNELS.RELEASE_LAUNCH_PROFILE_SET,
+    this.setLaunchProfile.bind(this)
+  )
+
+  ipcMain.on(
+    remoteCommunication.CHANNELS.RELEASE_LAUNCH_PROFILE_REMOVE,
+    this.removeLaunchProfile.bind(this)
+  )
+
+  ipcMain.on(
+    remoteCommunication.CHANNELS.RELEASE_CRASH_DISMISS,
+    this.dismissCrash.bind(this)
+  )
+
+  ipcMain.on(
+    remoteCommunication.CHANNELS.RELEASE_PLAYTIME_EXPORT,
+    this.exportPlaytime.bind(this)
+  )
+
   ipcMain.on(
     remoteCommunication.CHANNELS.RELEASE_UPDATE,
     this.update.bind(this)
@@ -153,11 +173,26 @@ exports.setup = function () {
     this.resumeUpdate.bind(this)
   )
 
+  ipcMain.on(
+    remoteCommunication.CHANNELS.RELEASE_UPDATE_SET_BANDWIDTH_LIMIT,
+    this.setUpdateBandwidthLimit.bind(this)
+  )
+
   ipcMain.on(
     remoteCommunication.CHANNELS.RELEASE_REPAIR,
     this.repair.bind(this)
   )
 
+  ipcMain.on(
+    remoteCommunication.CHANNELS.RELEASE_ROLLBACK,
+    this.rollback.bind(this)
+  )
+
+  ipcMain.on(
+    remoteCommunication.CHANNELS.RELEASE_VERIFY,
+    this.verify.bind(this)
+  )
+
   ipcMain.on(
     remoteCommunication.CHANNELS.RELEASE_NEWS_REFRESH,
     this.refreshNews.bind(this)
@@ -311,12 +346,13 @@ exports.updateSettings = function (event, gameUid, releaseName, newSettings) {
  * @param {string} gameUid - gameUid
  * @param {string} releaseName - releaseName
  * @param {string} location - location
+ * @param {string} [bundlePath] - folder of a bundle to install from
  * @returns {undefined} void
  */
-exports.install = function (event, gameUid, releaseName, location) {
+exports.install = function (event, gameUid, releaseName, location, bundlePath = null) {
   const release = this.getRelease(gameUid, releaseName)
 
-  release.install(location, true)
+  release.install(location, true, bundlePath)
     .then(() => {
       event.sender.send(remoteCommunication.CHANNELS.RELEASE_INSTALL_STARTED)
     })
@@ -370,19 +406,87 @@ exports.uninstall = function (event, gameUid, releaseName) {
  * @param {string} gameUid - gameUid
  * @param {string} releaseName - releaseName
  * @param {number} numberOfInstancesToStart - number of instances to start
+ * @param {Array<number>} [accountIds] - account each instance is bound to, the active one by default
+ * @param {string} [launchProfileName] - name of the launch profile of the instances
  * @returns {undefined} void
  */
-exports.start = function (event, gameUid, releaseName, numberOfInstancesToStart = 1) {
+exports.start = function (event, gameUid, releaseName, numberOfInstancesToStart = 1, accountIds = [], launchProfileName = null) {
   const release = this.getRelease(gameUid, releaseName)
 
   event.sender.send(remoteCommunication.CHANNELS.RELEASE_WAS_LAUNCHED)
 
-  release.startSeries(numberOfInstancesToStart)
+  release.startSeries(numberOfInstancesToStart, accountIds, launchProfileName)
     .catch((error) => {
       event.sender.send(remoteCommunication.CHANNELS.RELEASE_START_ERROR, error)
     })
 }
 
+/**
+ * @summary ipcMain event handler for RELEASE_LAUNCH_PROFILE_SET
+ * @param {Object} event - event
+ * @param {string} gameUid - gameUid
+ * @param {string} releaseName - releaseName
+ * @param {Object} launchProfile - the profile, as { name, arguments, env, cwd }
+ * @param {string} [previousName] - name of the profile to replace, when it is renamed
+ * @returns {undefined} void
+ */
+exports.setLaunchProfile = function (event, gameUid, releaseName, launchProfile, previousName) {
+  const release = this.getRelease(gameUid, releaseName)
+
+  try {
+    release.setLaunchProfile(launchProfile, previousName || launchProfile.name)
+  } catch (error) {
+    event.sender.send(remoteCommunication.CHANNELS.RELEASE_LAUNCH_PROFILE_ERROR, error)
+  }
+}
+
+/**
+ * @summary ipcMain event handler for RELEASE_LAUNCH_PROFILE_REMOVE
+ * @param {Object} event - event
+ * @param {string} gameUid - gameUid
+ * @param {string} releaseName - releaseName
+ * @param {string} name - name of the profile
+ * @returns {undefined} void
+ */
+exports.removeLaunchProfile = function (event, gameUid, releaseName, name) {
+  const release = this.getRelease(gameUid, releaseName)
+
+  release.removeLaunchProfile(name)
+}
+
+/**
+ * @summary ipcMain event handler for RELEASE_CRASH_DISMISS
+ * @param {Object} event - event
+ * @param {string} gameUid - gameUid
+ * @param {string} releaseName - releaseName
+ * @returns {undefined} void
+ */
+exports.dismissCrash = function (event, gameUid, releaseName) {
+  const release = this.getRelease(gameUid, releaseName)
+
+  release.dismissCrash()
+}
+
+/**
+ * @summary ipcMain event handler for RELEASE_PLAYTIME_EXPORT
+ * @param {Object} event - event
+ * @param {string} gameUid - gameUid
+ * @param {string} releaseName - releaseName
+ * @param {string} filepath - path of the CSV file to write
+ * @returns {undefined} void
+ */
+exports.exportPlaytime = function (event, gameUid, releaseName, filepath) {
+  const release = this.getRelease(gameUid, releaseName)
+
+  release.exportPlaytime(filepath)
+    .then(() => {
+      event.sender.send(remoteCommunication.CHANNELS.RELEASE_PLAYTIME_EXPORT_DONE, gameUid, releaseName, filepath)
+    })
+    .catch((error) => {
+      event.sender.send(remoteCommunication.CHANNELS.RELEASE_PLAYTIME_EXPORT_ERROR, gameUid, releaseName, error)
+    })
+}
+
 /**
  * @summary ipcMain event handler for RELEASE_UPDATE
  * @param {Object} event - event
@@ -441,6 +545,33 @@ exports.resumeUpdate = function (event, gameUid, releaseName) {
   release.saveToDisk()
 }
 
+/**
+ * @summary ipcMain event handler for RELEASE_UPDATE_SET_BANDWIDTH_LIMIT
+ * @param {Object} event - event
+ * @param {string} gameUid - gameUid
+ * @param {string} releaseName - releaseName
+ * @param {Number|null} bandwidthLimit - limit in bytes per second, null to use the launcher setting
+ * @returns {undefined} void
+ */
+exports.setUpdateBandwidthLimit = function (event, gameUid, releaseName, bandwidthLimit) {
+  const {
+    logger,
+    updateQueue,
+  } = this.modules
+
+  const update = updateQueue.getUpdate(gameUid, releaseName)
+
+  if (!update) {
+    logger.warn('releaseIpcManager: cannot set bandwidth limit, no update in queue', {
+      gameUid,
+      releaseName,
+    })
+    return
+  }
+
+  update.setBandwidthLimit(bandwidthLimit)
+}
+
 /**
  * @summary ipcMain event handler for RELEASE_REPAIR
  * @param {Object} event - event
@@ -457,6 +588,41 @@ exports.repair = function (event, gameUid, releaseName) {
     })
 }
 
+/**
+ * @summary ipcMain event handler for RELEASE_ROLLBACK
+ * @param {Object} event - event
+ * @param {string} gameUid - gameUid
+ * @param {string} releaseName - releaseName
+ * @returns {undefined} void
+ */
+exports.rollback = function (event, gameUid, releaseName) {
+  const release = this.getRelease(gameUid, releaseName)
+
+  release.rollback()
+    .catch((error) => {
+      event.sender.send(remoteCommunication.CHANNELS.RELEASE_ROLLBACK_ERROR, error)
+    })
+}
+
+/**
+ * @summary ipcMain event handler for RELEASE_VERIFY
+ * @param {Object} event - event
+ * @param {string} gameUid - gameUid
+ * @param {string} releaseName - releaseName
+ * @returns {undefined} void
+ */
+exports.verify = function (event, gameUid, releaseName) {
+  const release = this.getRelease(gameUid, releaseName)
+
+  release.verify()
+    .then((result) => {
+      event.sender.send(remoteCommunication.CHANNELS.RELEASE_VERIFY_DONE, gameUid, releaseName, result)
+    })
+    .catch((error) => {
+      event.sender.send(remoteCommunication.CHANNELS.RELEASE_VERIFY_ERROR, gameUid, releaseName, error)
+    })
+}
+
 /**
  * @summary ipcMain event handler for RELEASE_NEWS_REFRESHED
  * @param {Object} event - event
@@ -27,6 +27,8 @@ const SETTINGS_FILE_NAME = 'settings.json'
 
 const KEYS = {
   AUTO_UPDATE: 'autoUpdate',
+  PRELOAD: 'preload',
+  AUTO_RESTART_ON_CRASH: 'autoRestartOnCrash',
   DISPLAY_ALL_RELEASES: 'displayAllReleases',
 }
 exports.KEYS = KEYS
@@ -38,6 +40,18 @@ const COMMON_SETTINGS = {
     default: true,
     type: 'checkbox',
   },
+  [KEYS.PRELOAD]: {
+    order: 1005,
+    name: KEYS.PRELOAD,
+    default: true,
+    type: 'checkbox',
+  },
+  [KEYS.AUTO_RESTART_ON_CRASH]: {
+    order: 1007,
+    name: KEYS.AUTO_RESTART_ON_CRASH,
+    default: false,
+    type: 'checkbox',
+  },
   [KEYS.DISPLAY_ALL_RELEASES]: {
     order: 1010,
     name: KEYS.DISPLAY_ALL_RELEASES,
@@ -1,11 +1,19 @@
-module.exports = function (haapi, gameId) {
+module.exports = function (haapi, gameId, accountId) {
   const {
     http,
   } = haapi.modules
 
-  const {
-    apiKey,
-  } = require('../../auth')
+  const auth = require('../../auth')
+  const apiKey = auth.getApiKey(accountId)
+
+  // The account may have signed out since the token was requested
+  if (!apiKey) {
+    const {
+      ZaapError,
+    } = require('../../errors')
+
+    return Promise.reject(new ZaapError(auth.errors.APIKEY_NOT_FOUND, `No API key for the account ${accountId}`, 'auth.error.accountNotSignedIn'))
+  }
 
   const url = haapi.getUrl('ANKAMA_ACCOUNT_CREATE_TOKEN', {
     game: gameId,
@@ -15,5 +23,9 @@ module.exports = function (haapi, gameId) {
     APIKEY: apiKey.key,
   }).then(function (response) {
     return response.body.token
+  }, function (error) {
+    // The session of this account is expired when Haapi rejects its key
+    error.accountId = apiKey.accountId
+    throw error
   })
 }
@@ -1,20 +1,39 @@
-module.exports = function (haapi, login, password) {
+module.exports = function (haapi, login, password, code = null, certificate = null, trustDevice = false) {
   const {
     http,
   } = haapi.modules
 
   const url = haapi.getUrl('ANKAMA_API_CREATE_API_KEY')
 
-  return http.post(url, {
+  const body = {
     login,
     password,
     // eslint-disable-next-line camelcase
     long_life_token: true,
-  }).then(function (response) {
+  }
+
+  // One-time code of the Ankama Authenticator or of the security card
+  if (code) {
+    body.code = code
+    // eslint-disable-next-line camelcase
+    body.trust_device = trustDevice
+  }
+
+  // Certificate of a trusted device, no code is asked when it is valid
+  if (certificate) {
+    // eslint-disable-next-line camelcase
+    body.certificate_id = certificate.id
+    // eslint-disable-next-line camelcase
+    body.certificate_hash = certificate.hash
+  }
+
+  return http.post(url, body).then(function (response) {
     return {
       key: response.body.key,
       accountId: response.body.account_id,
       refreshToken: response.body.refresh_token,
+      expirationDate: response.body.expiration_date ? new Date(response.body.expiration_date).getTime() : null,
+      certificate: response.body.certificate || null,
     }
   })
 }
@@ -1,12 +1,10 @@
-module.exports = function (haapi) {
+module.exports = function (haapi, accountId) {
   const {
     http,
     getAuth,
   } = haapi.modules
 
-  const {
-    apiKey,
-  } = getAuth()
+  const apiKey = getAuth().getApiKey(accountId)
 
   const url = haapi.getUrl('ANKAMA_API_DELETE_API_KEY')
 
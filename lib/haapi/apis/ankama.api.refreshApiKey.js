@@ -1,12 +1,10 @@
-module.exports = function (haapi) {
+module.exports = function (haapi, accountId) {
   const {
     http,
     getAuth,
   } = haapi.modules
 
-  const {
-    apiKey,
-  } = getAuth()
+  const apiKey = getAuth().getApiKey(accountId)
 
   const url = haapi.getUrl('ANKAMA_API_REFRESH_API_KEY')
 
@@ -22,6 +20,11 @@ module.exports = function (haapi) {
       key: response.body.key,
       accountId: response.body.account_id,
       refreshToken: response.body.refresh_token,
+      expirationDate: response.body.expiration_date ? new Date(response.body.expiration_date).getTime() : null,
     }
+  }, function (error) {
+    // The session of this account is expired when Haapi rejects its key
+    error.accountId = apiKey.accountId
+    throw error
   })
 }
@@ -22,12 +22,14 @@ const {
   // General
   API_NOT_FOUND: 6000,
   BAD_CREDENTIALS: 6001,
+  SECOND_FACTOR_REQUIRED: 6002,
 })
 
 exports.errors = errors
 
 const {
   BAD_CREDENTIALS,
+  SECOND_FACTOR_REQUIRED,
 } = errors
 
 const HAAPI_AUTH_ERRORS = {
@@ -49,6 +51,12 @@ const HAAPI_AUTH_ERRORS = {
   ACCOUNT_SHIELDED: 'haapi.error.shieldedAccount',
 }
 
+// Reasons for which the login can be retried with a one-time code
+const HAAPI_SECOND_FACTOR_REASONS = [
+  'OTPTIMEFAILED',
+  'SECURITYCARD',
+]
+
 /**
  * @summary Retrieves an Haapi URL by key
  * @param {string} key Haapi URL key
@@ -136,14 +144,29 @@ exports.get = function (name, ...args) {
 
       resolve(promise.catch((error) => {
         if (error.statusCode === 601) {
-		  console.log(error.statusCode + ":" + JSON.parse(error.body).reason);
-          logger.error('Haapi:', BAD_CREDENTIALS, HAAPI_AUTH_ERRORS[JSON.parse(error.body).reason])
-          throw new ZaapError(BAD_CREDENTIALS, HAAPI_AUTH_ERRORS[JSON.parse(error.body).reason])
+          const {
+            reason,
+          } = JSON.parse(error.body)
+
+          if (HAAPI_SECOND_FACTOR_REASONS.includes(reason)) {
+            logger.info('Haapi: a second factor is required', reason)
+            throw new ZaapError(SECOND_FACTOR_REQUIRED, HAAPI_AUTH_ERRORS[reason], HAAPI_AUTH_ERRORS[reason], {
+              reason,
+            })
+          }
+
+          logger.error('Haapi:', BAD_CREDENTIALS, HAAPI_AUTH_ERRORS[reason])
+          throw new ZaapError(BAD_CREDENTIALS, HAAPI_AUTH_ERRORS[reason])
         }
 
-        if (error.statusCode === 603) {
-          logger.error('Logout because of status code 603 from Haapi')
-          auth.logout()
+        // The API key is no longer valid, the user must sign in again,
+        // unless the key was being deleted: its session is ending anyway
+        if (error.statusCode === 603 && name !== 'ankama.api.deleteApiKey') {
+          logger.error('Session expired because of status code 603 from Haapi')
+          auth.expireSession(error.accountId)
+            .catch((expireError) => {
+              logger.error('haapi: unable to expire the session', expireError)
+            })
         }
 
         if (error.type === 'request-timeout' && number <= timeOutMaxRetries) {
@@ -152,6 +152,11 @@ exports.setup = () => {
   const app = this.app = require('./app')
   app.setup()
 
+  /**
+   * Check if we were started as a headless CLI
+   */
+  this.cliCommand = require('./cli').parseArguments(process.argv)
+
   /**
    * Prevent a native app.quit() when all windows are closed
    */
@@ -179,6 +184,15 @@ exports.setup = () => {
       throw new Error('Cytrus repository server is not set in your build config!')
     }
 
+    require('./certificatePinning').setup()
+
+    /**
+     * Headless mode: run the command, then exit without opening any window
+     */
+    if (this.cliCommand) {
+      return this.runCli()
+    }
+
     /**
      * Load all app windows
      */
@@ -232,6 +246,21 @@ exports.setup = () => {
   })
 }
 
+/**
+ * @summary Run the command received on the command line and exit with its exit code
+ * @returns {Promise} Promise resolved once the command is done
+ */
+exports.runCli = () => {
+  /* istanbul ignore next */
+  logger.info('index: running headless command', this.cliCommand)
+
+  return require('./cli').run(server, this.cliCommand)
+    .then((exitCode) => {
+      this.app.isQuitting = true
+      this.app.exit(exitCode)
+    })
+}
+
 /**
  * @summary Check for an update after multiple crash
  * @returns {Promise} True if an update is ready for install
@@ -355,6 +384,8 @@ exports.bootstrapGamesRegistry = (bootstrapGamesRegistryTriesCount = 0) => {
     }
 
     require('./games/releaseIpcManager').setup()
+    require('./peerCache').setup()
+    require('./mirrorHealth').setup()
 
     gamesRegistry.watchRepository()
 
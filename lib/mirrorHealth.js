@@ -0,0 +1,242 @@
+/**
+ * The mirror health keeps track of the latency and the failures of
+ * every repository mirror, the servers resolved by
+ * `Repository.refreshCachedServers`.
+ *
+ * `fetch` asks it which mirror to download a file from: banned mirrors
+ * are skipped, and the other ones are picked with a probability inversely
+ * proportional to their score, so that fast mirrors are preferred while
+ * slower ones are still tried from time to time.
+ *
+ * A mirror returning an error is banned for a while, the ban getting
+ * longer each time it fails again in a row. A mirror serving a file whose
+ * hash does not match is banned for the longest duration right away.
+ *
+ * @module zaap/mirrorHealth
+ */
+const inject = require('instill')
+const logger = require('./logger')
+
+/* istanbul ignore next */
+inject(exports, {
+  ipcMain: require('electron').ipcMain,
+  remoteCommunication: require('./remoteCommunication'),
+  getDateNow: () => Date.now(),
+  getRandom: () => Math.random(),
+})
+
+// Weight of the last request in the average latency and failure rate
+const SMOOTHING_FACTOR = 0.3
+// Latency of the mirrors which have not answered yet
+const DEFAULT_LATENCY_IN_MS = 500
+// Added to the latency of a mirror which fails every request
+const FAILURE_PENALTY_IN_MS = 5000
+const MIN_BAN_DURATION_IN_MS = 30 * 1000
+const MAX_BAN_DURATION_IN_MS = 10 * 60 * 1000
+
+/**
+ * @property {Object} mirrors Stats of the mirrors, by server.
+ */
+exports.mirrors = {}
+
+/**
+ * @summary Answer the stats requests of the renderer process
+ * @returns {undefined} void
+ */
+exports.setup = function () {
+  const {
+    ipcMain,
+    remoteCommunication,
+  } = this.modules
+
+  ipcMain.on(remoteCommunication.CHANNELS.MIRROR_STATS_GET, (event) => {
+    event.returnValue = this.expose()
+  })
+}
+
+/**
+ * @summary Get the stats of a mirror, creating them if needed
+ * @param {String} server - server of the mirror
+ * @returns {Object} stats of the mirror
+ */
+exports.getMirror = function (server) {
+  if (!this.mirrors[server]) {
+    this.mirrors[server] = {
+      server,
+      latency: null,
+      failureRate: 0,
+      successCount: 0,
+      failureCount: 0,
+      badHashCount: 0,
+      consecutiveFailuresCount: 0,
+      bannedUntil: 0,
+      lastError: null,
+    }
+  }
+
+  return this.mirrors[server]
+}
+
+/**
+ * @summary Record a successful request to a mirror
+ * @param {String} server - server of the mirror
+ * @param {Number} latency - time to receive the response, in milliseconds
+ * @returns {undefined} void
+ */
+exports.recordSuccess = function (server, latency) {
+  const mirror = this.getMirror(server)
+
+  mirror.latency = mirror.latency === null ?
+    latency :
+    mirror.latency + SMOOTHING_FACTOR * (latency - mirror.latency)
+  mirror.failureRate -= SMOOTHING_FACTOR * mirror.failureRate
+  mirror.successCount += 1
+  mirror.consecutiveFailuresCount = 0
+}
+
+/**
+ * @summary Record a failed request to a mirror and ban it
+ * @param {String} server - server of the mirror
+ * @param {Error|String} error - reason of the failure
+ * @returns {undefined} void
+ */
+exports.recordFailure = function (server, error) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  const mirror = this.getMirror(server)
+
+  mirror.failureRate += SMOOTHING_FACTOR * (1 - mirror.failureRate)
+  mirror.failureCount += 1
+  mirror.consecutiveFailuresCount += 1
+  mirror.lastError = error instanceof Error ? error.message : String(error)
+
+  const banDuration = Math.min(
+    MIN_BAN_DURATION_IN_MS * Math.pow(2, mirror.consecutiveFailuresCount - 1),
+    MAX_BAN_DURATION_IN_MS
+  )
+  this.ban(mirror, getDateNow() + banDuration)
+}
+
+/**
+ * @summary Record a mirror serving a file whose hash does not match and ban it
+ * @param {String} server - server of the mirror
+ * @returns {undefined} void
+ */
+exports.recordBadHash = function (server) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  const mirror = this.getMirror(server)
+
+  mirror.failureRate += SMOOTHING_FACTOR * (1 - mirror.failureRate)
+  mirror.failureCount += 1
+  mirror.badHashCount += 1
+  mirror.consecutiveFailuresCount += 1
+  mirror.lastError = 'Hash mismatch'
+
+  this.ban(mirror, getDateNow() + MAX_BAN_DURATION_IN_MS)
+}
+
+/**
+ * @summary Ban a mirror
+ * @param {Object} mirror - stats of the mirror
+ * @param {Number} bannedUntil - end date of the ban
+ * @returns {undefined} void
+ */
+exports.ban = function (mirror, bannedUntil) {
+  // A ban never gets shorter
+  if (bannedUntil <= mirror.bannedUntil) {
+    return
+  }
+
+  mirror.bannedUntil = bannedUntil
+  logger.warn(`mirrorHealth: ${mirror.server} is banned until ${new Date(bannedUntil).toISOString()}`, {
+    lastError: mirror.lastError,
+    consecutiveFailures: mirror.consecutiveFailuresCount,
+  })
+}
+
+/**
+ * @summary Check if a mirror is banned
+ * @param {String} server - server of the mirror
+ * @returns {Boolean} true if the mirror is banned
+ */
+exports.isBanned = function (server) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  return !!this.mirrors[server] && this.mirrors[server].bannedUntil > getDateNow()
+}
+
+/**
+ * @summary Compute the score of a mirror, the lower the better
+ * @param {String} server - server of the mirror
+ * @returns {Number} the score of the mirror
+ */
+exports.getScore = function (server) {
+  const mirror = this.mirrors[server]
+
+  if (!mirror) {
+    return DEFAULT_LATENCY_IN_MS
+  }
+
+  const latency = mirror.latency === null ? DEFAULT_LATENCY_IN_MS : mirror.latency
+  return latency + FAILURE_PENALTY_IN_MS * mirror.failureRate
+}
+
+/**
+ * When every mirror is banned, the one whose ban ends first is used.
+ *
+ * @summary Pick the mirror to send a request to
+ * @param {Array<String>} servers - servers of the mirrors
+ * @param {Array<String>} [excludedServers] - servers which must not be picked, such as the ones which already failed
+ * @returns {String|null} the server of the mirror, null if every mirror is excluded
+ */
+exports.pickServer = function (servers, excludedServers = []) {
+  const {
+    getRandom,
+  } = this.modules
+
+  const candidates = servers.filter((server) => !excludedServers.includes(server))
+
+  if (candidates.length === 0) {
+    return null
+  }
+
+  const healthyCandidates = candidates.filter((server) => !this.isBanned(server))
+
+  if (healthyCandidates.length === 0) {
+    return candidates.reduce((best, server) => {
+      return this.mirrors[server].bannedUntil < this.mirrors[best].bannedUntil ? server : best
+    })
+  }
+
+  const weights = healthyCandidates.map((server) => 1 / Math.max(this.getScore(server), 1))
+  let value = getRandom() * weights.reduce((sum, weight) => sum + weight, 0)
+
+  for (let i = 0; i < healthyCandidates.length; i++) {
+    value -= weights[i]
+    if (value < 0) {
+      return healthyCandidates[i]
+    }
+  }
+
+  return healthyCandidates[healthyCandidates.length - 1]
+}
+
+/**
+ * @summary Create a light object that can be used by the renderer process.
+ * @returns {Array<Object>} The stats of the mirrors, the best ones first
+ */
+exports.expose = function () {
+  return Object.keys(this.mirrors)
+    .map((server) => Object.assign({}, this.mirrors[server], {
+      score: Math.round(this.getScore(server)),
+      isBanned: this.isBanned(server),
+    }))
+    .sort((mirror1, mirror2) => mirror1.score - mirror2.score)
+}
@@ -0,0 +1,359 @@
+/**
+ * The peer cache lets launchers of the same local network share
+ * the files they have already downloaded.
+ *
+ * When `PEER_CACHE_SERVE` is enabled, the launcher serves the files of
+ * its installed releases over HTTP, using the same content-addressed
+ * paths as the Cytrus repository (`/<gameUid>/hashes/<xx>/<hash>`).
+ *
+ * Launchers listing peers in `PEER_CACHE_PEERS` try one of them before
+ * falling back to the repository servers. Files received from a peer
+ * still go through the hash check of `fetch`. A peer which fails is
+ * skipped for a while, the ban getting longer each time it fails again
+ * in a row.
+ *
+ * @module zaap/peerCache
+ */
+const path = require('path')
+const inject = require('instill')
+const logger = require('./logger')
+
+/* istanbul ignore next */
+inject(exports, {
+  fs: require('fs'),
+  http: require('http'),
+  settings: require('./settings'),
+  updateHelper: require('./updater/helpers/updateHelper'),
+  // We encapsulate in a function to avoid circular dependencies issues
+  getRegistry: () => require('./games/registry'),
+  getDateNow: () => Date.now(),
+})
+
+exports.DEFAULT_PORT = 7117
+
+const HASH_SUBPATH_REGEXP = /^\/([^/]+)\/hashes\/([0-9a-f]{2})\/([0-9a-f]+)$/
+const RANGE_REGEXP = /^bytes=(\d+)-$/
+
+const MIN_BAN_DURATION_IN_MS = 30 * 1000
+const MAX_BAN_DURATION_IN_MS = 10 * 60 * 1000
+
+/**
+ * @property {http.Server|null} server The HTTP server, when serving is enabled.
+ */
+exports.server = null
+
+/**
+ * @property {Object} hashesCache Parsed local hashes, by release location.
+ */
+exports.hashesCache = {}
+
+/**
+ * @property {Object} peers Failures of the peers, by server.
+ */
+exports.peers = {}
+
+/**
+ * @summary Setup the peer cache and keep the server in sync with the settings
+ * @returns {undefined} void
+ */
+exports.setup = function () {
+  const {
+    settings,
+  } = this.modules
+
+  const {
+    PEER_CACHE_SERVE,
+    PEER_CACHE_PORT,
+  } = settings.KEYS
+
+  const refreshServer = () => {
+    this.stopServer()
+    if (settings.get(PEER_CACHE_SERVE)) {
+      this.startServer(settings.get(PEER_CACHE_PORT) || this.DEFAULT_PORT)
+    }
+  }
+
+  settings.watch(PEER_CACHE_SERVE, refreshServer)
+  settings.watch(PEER_CACHE_PORT, refreshServer)
+  refreshServer()
+}
+
+/**
+ * @summary Start serving the local files
+ * @param {Number} port - port to listen on
+ * @returns {undefined} void
+ */
+exports.startServer = function (port) {
+  const {
+    http,
+  } = this.modules
+
+  this.server = http.createServer(this.handleRequest.bind(this))
+  this.server.on('error', (error) => {
+    logger.warn(`peerCache: cannot serve files on port ${port}`, error)
+    this.stopServer()
+  })
+  this.server.listen(port, () => {
+    logger.info(`peerCache: serving files on port ${port}`)
+  })
+}
+
+/**
+ * @summary Stop serving the local files
+ * @returns {undefined} void
+ */
+exports.stopServer = function () {
+  if (!this.server) {
+    return
+  }
+
+  this.server.close()
+  this.server = null
+  this.hashesCache = {}
+}
+
+/**
+ * @summary Answer a request from another launcher
+ * @param {http.IncomingMessage} req - request
+ * @param {http.ServerResponse} res - response
+ * @returns {undefined} void
+ */
+exports.handleRequest = function (req, res) {
+  const {
+    fs,
+  } = this.modules
+
+  const match = HASH_SUBPATH_REGEXP.exec(req.url)
+
+  if (req.method !== 'GET' || !match || !match[3].startsWith(match[2])) {
+    res.writeHead(404)
+    return res.end()
+  }
+
+  const [, gameUid, , hash] = match
+
+  this.findFile(gameUid, hash)
+    .then((file) => {
+      if (!file) {
+        res.writeHead(404)
+        return res.end()
+      }
+
+      const rangeMatch = RANGE_REGEXP.exec(req.headers.range || '')
+      const start = rangeMatch ? Number(rangeMatch[1]) : 0
+
+      if (start >= file.size) {
+        res.writeHead(416, { 'Content-Range': `bytes */${file.size}` })
+        return res.end()
+      }
+
+      const headers = {
+        'Accept-Ranges': 'bytes',
+        'Content-Length': file.size - start,
+        'Content-Type': 'application/octet-stream',
+      }
+
+      if (rangeMatch) {
+        headers['Content-Range'] = `bytes ${start}-${file.size - 1}/${file.size}`
+      }
+
+      res.writeHead(rangeMatch ? 206 : 200, headers)
+      fs.createReadStream(file.path, { start })
+        .on('error', (error) => {
+          logger.warn(`peerCache: cannot read ${file.path}`, error)
+          res.destroy()
+        })
+        .pipe(res)
+    })
+    .catch((error) => {
+      logger.warn(`peerCache: cannot serve ${hash}`, error)
+      res.writeHead(500)
+      res.end()
+    })
+}
+
+/**
+ * Only the files of installed releases which are not being
+ * updated are served, and only if their size is the expected one.
+ *
+ * @summary Find a local file by its hash
+ * @param {String} gameUid - uid of the game
+ * @param {String} hash - hash of the file
+ * @returns {Promise} Promise resolved with { path, size }, or null if the file is not available
+ */
+exports.findFile = function (gameUid, hash) {
+  const {
+    fs,
+  } = this.modules
+
+  const registry = this.modules.getRegistry()
+
+  if (!registry.isGameExist(gameUid)) {
+    return Promise.resolve(null)
+  }
+
+  const releases = registry.getGame(gameUid).releases
+  const locations = Object.keys(releases)
+    .map((releaseName) => releases[releaseName])
+    .filter((release) => release.location && release.isInstalled() && !release.isUpdateProcessRunning())
+    .map((release) => release.location)
+
+  return locations.reduce((promise, location) => {
+    return promise.then((file) => {
+      if (file) {
+        return file
+      }
+
+      return this.getHashesIndex(location).then((index) => {
+        const indexedFile = index[hash]
+        if (!indexedFile) {
+          return null
+        }
+
+        const filePath = path.join(location, indexedFile.filePath)
+        try {
+          if (fs.statSync(filePath).size !== indexedFile.size) {
+            return null
+          }
+        } catch (error) {
+          return null
+        }
+
+        return {
+          path: filePath,
+          size: indexedFile.size,
+        }
+      })
+    })
+  }, Promise.resolve(null))
+}
+
+/**
+ * The index is cached until the hashes file of the release changes.
+ *
+ * @summary Get the files of a release location by hash
+ * @param {String} location - location of the release
+ * @returns {Promise} Promise resolved with { [hash]: { filePath, size } }
+ */
+exports.getHashesIndex = function (location) {
+  const {
+    fs,
+    updateHelper,
+  } = this.modules
+
+  let mtime
+  try {
+    mtime = fs.statSync(path.join(location, updateHelper.hashesFileName)).mtime.getTime()
+  } catch (error) {
+    return Promise.resolve({})
+  }
+
+  const cached = this.hashesCache[location]
+  if (cached && cached.mtime === mtime) {
+    return Promise.resolve(cached.index)
+  }
+
+  return updateHelper.getLocalHashes(location)
+    .then((hashes) => {
+      const index = {}
+      Object.keys(hashes).forEach((fragmentName) => {
+        const files = hashes[fragmentName].files || {}
+        Object.keys(files).forEach((filePath) => {
+          const { hash, size } = files[filePath]
+          if (hash && size) {
+            index[hash] = { filePath, size }
+          }
+        })
+      })
+
+      this.hashesCache[location] = { mtime, index }
+      return index
+    })
+    .catch((error) => {
+      logger.warn(`peerCache: cannot read local hashes of ${location}`, error)
+      return {}
+    })
+}
+
+/**
+ * Banned peers are left out.
+ *
+ * @summary Get the servers of the peers to try before the repository
+ * @returns {Array} list of peer servers, e.g. [ 'http://192.168.1.10:7117' ]
+ */
+exports.getPeerServers = function () {
+  const {
+    settings,
+  } = this.modules
+
+  const peers = settings.get(settings.KEYS.PEER_CACHE_PEERS) || []
+
+  return peers
+    .filter((peer) => typeof peer === 'string' && peer.trim())
+    .map((peer) => {
+      peer = peer.trim().replace(/\/+$/, '')
+      return /^https?:\/\//.test(peer) ? peer : `http://${peer}`
+    })
+    .filter((server) => !this.isBanned(server))
+}
+
+/**
+ * @summary Record a successful request to a peer
+ * @param {String} server - server of the peer
+ * @returns {undefined} void
+ */
+exports.recordSuccess = function (server) {
+  delete this.peers[server]
+}
+
+/**
+ * @summary Record a failed request to a peer and ban it
+ * @param {String} server - server of the peer
+ * @param {Error|String} error - reason of the failure
+ * @returns {undefined} void
+ */
+exports.recordFailure = function (server, error) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  // The parallel downloads sent before the ban fail too, they must not make it longer
+  if (this.isBanned(server)) {
+    return
+  }
+
+  if (!this.peers[server]) {
+    this.peers[server] = {
+      consecutiveFailuresCount: 0,
+      bannedUntil: 0,
+    }
+  }
+
+  const peer = this.peers[server]
+  peer.consecutiveFailuresCount += 1
+
+  const banDuration = Math.min(
+    MIN_BAN_DURATION_IN_MS * Math.pow(2, peer.consecutiveFailuresCount - 1),
+    MAX_BAN_DURATION_IN_MS
+  )
+  const bannedUntil = getDateNow() + banDuration
+
+  peer.bannedUntil = bannedUntil
+  logger.warn(`peerCache: ${server} is banned until ${new Date(bannedUntil).toISOString()}`, {
+    error: error instanceof Error ? error.message : String(error),
+    consecutiveFailures: peer.consecutiveFailuresCount,
+  })
+}
+
+/**
+ * @summary Check if a peer is banned
+ * @param {String} server - server of the peer
+ * @returns {Boolean} true if the peer is banned
+ */
+exports.isBanned = function (server) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  return !!this.peers[server] && this.peers[server].bannedUntil > getDateNow()
+}
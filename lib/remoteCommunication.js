@@ -15,6 +15,7 @@ exports.CHANNELS = {
   AUTH_LOGIN: 'auth.login',
   AUTH_LOGIN_ERROR: 'auth.login.error',
   AUTH_LOGOUT: 'auth.logout',
+  AUTH_SWITCH_ACCOUNT: 'auth.switchAccount',
   BUILD_CONFIG_GET: 'buildConfig.get',
   GAME_LIST: 'game.list',
   GAME_ADDED: 'game.added',
@@ -22,6 +23,7 @@ exports.CHANNELS = {
   GAME_REMOVED: 'game.removed',
   GO_ANKAMA_GET_URL: 'goAnkama.getUrl',
   LOGGER_GET_LOGS_PATH: 'logger.path',
+  MIRROR_STATS_GET: 'mirror.stats.get',
   RELEASE_GET_LOGS_PATH: 'release.logs.path',
   RELEASE_GET_INSTALL_INFORMATION: 'release.getInstallInformation',
   RELEASE_GET_FOLDER_SIZE: 'release.getFolderSize',
@@ -30,6 +32,7 @@ exports.CHANNELS = {
   RELEASE_UPDATE_RESUME: 'release.update.resume',
   RELEASE_UPDATE_UPDATED: 'release.update.updated',
   RELEASE_UPDATE_SET_QUEUE_INDEX: 'release.update.setQueueIndex',
+  RELEASE_UPDATE_SET_BANDWIDTH_LIMIT: 'release.update.setBandwidthLimit',
   RELEASE_SETTINGS_UPDATE: 'release.settings.update',
   RELEASE_GET_DEFAULT: 'release.get.default',
   RELEASE_WAS_LAUNCHED: 'release.wasLaunched',
@@ -46,8 +49,20 @@ exports.CHANNELS = {
   RELEASE_UPDATE_ERROR: 'release.update.error',
   RELEASE_REPAIR: 'release.repair',
   RELEASE_REPAIR_ERROR: 'release.repair.error',
+  RELEASE_ROLLBACK: 'release.rollback',
+  RELEASE_ROLLBACK_ERROR: 'release.rollback.error',
+  RELEASE_VERIFY: 'release.verify',
+  RELEASE_VERIFY_DONE: 'release.verify.done',
+  RELEASE_VERIFY_ERROR: 'release.verify.error',
   RELEASE_START: 'release.start',
   RELEASE_START_ERROR: 'release.start.error',
+  RELEASE_LAUNCH_PROFILE_SET: 'release.launchProfile.set',
+  RELEASE_LAUNCH_PROFILE_REMOVE: 'release.launchProfile.remove',
+  RELEASE_LAUNCH_PROFILE_ERROR: 'release.launchProfile.error',
+  RELEASE_CRASH_DISMISS: 'release.crash.dismiss',
+  RELEASE_PLAYTIME_EXPORT: 'release.playtime.export',
+  RELEASE_PLAYTIME_EXPORT_DONE: 'release.playtime.export.done',
+  RELEASE_PLAYTIME_EXPORT_ERROR: 'release.playtime.export.error',
   RELEASE_NEWS_REFRESH: 'release.news.refresh',
   RELEASE_NEWS_REFRESHED: 'release.news.refreshed',
   NEWS_REFRESH: 'news.refresh',
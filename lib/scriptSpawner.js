@@ -63,9 +63,10 @@ exports.setup = function () {
  * @param {String} scriptName The script name without extension
  * @param {Array} args Argument list given to the spawned process
  * @param {Object} injectedEnv Additional environment variables (added to process.env)
+ * @param {String} [cwd] The working directory of the process, the location by default
  * @returns {ChildProcess} The spawned process
  */
-exports.spawn = function (location, scriptName, args = [], injectedEnv = {}) {
+exports.spawn = function (location, scriptName, args = [], injectedEnv = {}, cwd = location) {
   const {
     cp,
     fs,
@@ -82,14 +83,16 @@ exports.spawn = function (location, scriptName, args = [], injectedEnv = {}) {
   }
 
   const scriptPath = `${prefix}${scriptName}.${this.getPlatformScriptExtension()}`
+  const absoluteScriptPath = path.join(location, scriptPath)
 
-  if (!fs.existsSync(path.join(location, scriptPath))) {
+  if (!fs.existsSync(absoluteScriptPath)) {
     throw new ZaapError(SCRIPT_NOT_FOUND, 'Unable to spawn script. ' + scriptPath + ' doesn\'t exists.')
   }
 
   const env = Object.assign({}, process.env, injectedEnv)
-  return cp.spawn(scriptPath, args, {
-    cwd: location,
+  // The script is found from its location when run from another directory
+  return cp.spawn(cwd === location ? scriptPath : absoluteScriptPath, args, {
+    cwd,
     env,
   })
 }
@@ -0,0 +1,203 @@
+/**
+ * Events pushed by the launcher to the connected games.
+ *
+ * The service API is request/response only, so the events are delivered
+ * by long polling: a game calls `events_wait`, which replies as soon as
+ * events are queued for its session, or with an empty list after
+ * `WAIT_TIMEOUT_IN_MS`, and calls it again. Since a Thrift connection
+ * handles one call at a time, games should wait for events on a
+ * connection of their own.
+ *
+ * Events are queued for a session from its first `events_subscribe` or
+ * `events_wait` call, and until its key is removed. A session receives
+ * every type of event unless it subscribed to some of them only.
+ *
+ * The `events_wait` and `events_subscribe` RPCs are added once the
+ * ZaapService IDL declares them: until then no session subscribes, and
+ * the published events are dropped.
+ *
+ * @module zaap/service/events
+ */
+const inject = require('instill')
+const logger = require('../logger')
+
+/* istanbul ignore next */
+inject(exports, {
+  getDateNow: () => Date.now(),
+  WAIT_TIMEOUT_IN_MS: 30 * 1000,
+})
+
+exports.TYPES = {
+  // data: { version }
+  UPDATE_AVAILABLE: 'updateAvailable',
+  // data: { accountId }
+  LOGGED_OUT: 'loggedOut',
+  // data: { settings }
+  SETTINGS_CHANGED: 'settingsChanged',
+  // data: {}
+  LAUNCHER_QUITTING: 'launcherQuitting',
+}
+
+// Older events are dropped when a game does not wait for them
+const MAX_QUEUED_EVENTS_COUNT = 100
+
+/**
+ * @property {Object} subscriptions Subscriptions, by session key
+ */
+exports.subscriptions = {}
+
+let nextEventId = 1
+
+/**
+ * @summary Check if an event type exists
+ * @param {String} type - type of the event
+ * @returns {Boolean} true if the type exists
+ */
+exports.isType = function (type) {
+  return Object.keys(this.TYPES).some((key) => this.TYPES[key] === type)
+}
+
+/**
+ * @summary Get the subscription of a session, creating it if needed
+ * @param {String} sessionKey - key of the session
+ * @param {Release} release - release of the session
+ * @param {Number} accountId - account the instance of the session is bound to
+ * @returns {Object} the subscription
+ */
+exports.getSubscription = function (sessionKey, release, accountId) {
+  if (!this.subscriptions[sessionKey]) {
+    this.subscriptions[sessionKey] = {
+      release,
+      accountId,
+      // null to receive every type of event
+      types: null,
+      events: [],
+      pendingCallback: null,
+      pendingTimeout: null,
+    }
+  }
+
+  return this.subscriptions[sessionKey]
+}
+
+/**
+ * @summary Choose the types of events a session receives
+ * @param {String} sessionKey - key of the session
+ * @param {Release} release - release of the session
+ * @param {Number} accountId - account the instance of the session is bound to
+ * @param {Array<String>} types - types of the events, every type if empty
+ * @returns {undefined} void
+ */
+exports.subscribe = function (sessionKey, release, accountId, types) {
+  const subscription = this.getSubscription(sessionKey, release, accountId)
+
+  subscription.types = types.length > 0 ? types : null
+  subscription.events = subscription.events.filter((event) => this.isSubscribed(subscription, event.type))
+}
+
+/**
+ * @summary Check if a subscription receives a type of event
+ * @param {Object} subscription - the subscription
+ * @param {String} type - type of the event
+ * @returns {Boolean} true if the subscription receives this type of event
+ */
+exports.isSubscribed = function (subscription, type) {
+  return !subscription.types || subscription.types.includes(type)
+}
+
+/**
+ * A previous wait of the session, if any, is answered with an empty list.
+ *
+ * @summary Wait for the next events of a session
+ * @param {String} sessionKey - key of the session
+ * @param {Release} release - release of the session
+ * @param {Number} accountId - account the instance of the session is bound to
+ * @param {Function} callback - called with the list of the events, as { id, type, date, data }
+ * @returns {undefined} void
+ */
+exports.wait = function (sessionKey, release, accountId, callback) {
+  const {
+    WAIT_TIMEOUT_IN_MS,
+  } = this.modules
+
+  const subscription = this.getSubscription(sessionKey, release, accountId)
+
+  this.reply(subscription)
+
+  subscription.pendingCallback = callback
+  subscription.pendingTimeout = setTimeout(() => this.reply(subscription), WAIT_TIMEOUT_IN_MS)
+
+  if (subscription.events.length > 0) {
+    this.reply(subscription)
+  }
+}
+
+/**
+ * @summary Answer the pending wait of a subscription with its queued events
+ * @param {Object} subscription - the subscription
+ * @returns {undefined} void
+ */
+exports.reply = function (subscription) {
+  const callback = subscription.pendingCallback
+
+  if (!callback) {
+    return
+  }
+
+  clearTimeout(subscription.pendingTimeout)
+  subscription.pendingCallback = null
+  subscription.pendingTimeout = null
+
+  const events = subscription.events
+  subscription.events = []
+
+  callback(null, events)
+}
+
+/**
+ * @summary Send an event to the sessions which subscribed to it
+ * @param {String} type - type of the event
+ * @param {Object} data - data of the event
+ * @param {Function} [filter] - called with each subscription, as { release, accountId }, returns true to send it the event
+ * @returns {undefined} void
+ */
+exports.publish = function (type, data, filter = () => true) {
+  const {
+    getDateNow,
+  } = this.modules
+
+  const event = {
+    id: nextEventId,
+    type,
+    date: getDateNow(),
+    data,
+  }
+  nextEventId += 1
+
+  Object.keys(this.subscriptions)
+    .map((sessionKey) => this.subscriptions[sessionKey])
+    .filter((subscription) => this.isSubscribed(subscription, type) && filter(subscription))
+    .forEach((subscription) => {
+      subscription.events = subscription.events.concat(event).slice(-MAX_QUEUED_EVENTS_COUNT)
+      this.reply(subscription)
+    })
+
+  logger.debug(`service: event ${type}`, data)
+}
+
+/**
+ * @summary Forget the subscription of a session, its pending wait is answered with an empty list
+ * @param {String} sessionKey - key of the session
+ * @returns {undefined} void
+ */
+exports.unsubscribe = function (sessionKey) {
+  const subscription = this.subscriptions[sessionKey]
+
+  if (!subscription) {
+    return
+  }
+
+  subscription.events = []
+  this.reply(subscription)
+  delete this.subscriptions[sessionKey]
+}
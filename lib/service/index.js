@@ -21,6 +21,7 @@ const clientMethods = Object.keys(ZaapService.Client.prototype)
 inject(exports, {
   buildConfig: require('../buildConfig'),
   development: require('./development'),
+  events: require('./events'),
   fs: require('fs'),
   require: require,
   thrift: require('thrift'),
@@ -211,7 +212,7 @@ let instanceCounter = 0
 exports.credentials = {}
 
 /**
- * Connected releases, by API key
+ * Connected releases, by API key, with the account their instance is bound to
  */
 exports.releases = {}
 
@@ -232,11 +233,15 @@ function getCredentialsKey(gameUid, release, releaseProcessId) {
  * calling this method whenever it is about to start a
  * process instance, and it is expected to
  *
+ * The game tokens requested by the instance are created for the
+ * account it is bound to.
+ *
  * @summary Generate env. variables a unique ID for the release
  * @param {Release} release The release for which we are about to start a process instance
+ * @param {Number} accountId The account the instance is bound to
  * @returns {Object} info { id, env }
  */
-exports.createEnvironmentForRelease = function (release) {
+exports.createEnvironmentForRelease = function (release, accountId) {
   const {
     uuid,
   } = this.modules
@@ -245,8 +250,9 @@ exports.createEnvironmentForRelease = function (release) {
 
   const id = instanceCounter
   const hash = uuid()
+  const canAuth = !this.hasCredentialsForAccount(release, accountId)
 
-  this.registerCredentials(release, id, hash)
+  this.registerCredentials(release, id, hash, accountId)
 
   return {
     id,
@@ -256,7 +262,8 @@ exports.createEnvironmentForRelease = function (release) {
       ZAAP_RELEASE: release.name,
       ZAAP_INSTANCE_ID: id,
       ZAAP_HASH: hash,
-      ZAAP_CAN_AUTH: release.getRunningInstancesCount() === 0,
+      // Only one instance per account is authenticated by the launcher
+      ZAAP_CAN_AUTH: canAuth,
       ZAAP_LOGS_PATH: release.getLogsPath(),
     },
   }
@@ -267,17 +274,30 @@ exports.createEnvironmentForRelease = function (release) {
  * @param {Release} release The release for which to create credentials for
  * @param {number} releaseProcessId Release process ID
  * @param {string} hash Private hash used that will be used as an identification token
+ * @param {Number} accountId The account the process instance is bound to
  * @returns {string} The authentication hash the game must used upon connection
  */
-exports.registerCredentials = function (release, releaseProcessId, hash) {
+exports.registerCredentials = function (release, releaseProcessId, hash, accountId) {
   const key = getCredentialsKey(release.gameUid, release.name, releaseProcessId)
   this.credentials[key] = {
     id: releaseProcessId,
     hash,
     release,
+    accountId,
   }
 }
 
+/**
+ * @summary Check whether an instance of a game release bound to an account has credentials
+ * @param {Release} release The release to check
+ * @param {Number} accountId The account the instance is bound to
+ * @returns {boolean} True if an instance of the release bound to this account has credentials
+ */
+exports.hasCredentialsForAccount = function (release, accountId) {
+  return Object.keys(this.credentials)
+    .some((key) => this.credentials[key].release === release && this.credentials[key].accountId === accountId)
+}
+
 /**
  * @summary Invalidate the authentication information for a given game release
  * @param {Release} release The release for which to invalidate credentials for
@@ -326,10 +346,13 @@ exports.createKeyForReleaseProcessId = function (release, releaseProcessId) {
   // Invalidate any previous key we might have registered
   this.removeKeyForReleaseProcessId(releaseProcessId)
 
+  const credentials = this.credentials[getCredentialsKey(release.gameUid, release.name, releaseProcessId)]
+
   const key = uuid()
   this.releases[key] = {
     id: releaseProcessId,
     release,
+    accountId: credentials ? credentials.accountId : undefined,
   }
 
   return key
@@ -341,10 +364,15 @@ exports.createKeyForReleaseProcessId = function (release, releaseProcessId) {
  * @returns {undefined} void
  */
 exports.removeKeyForReleaseProcessId = function (releaseProcessId) {
+  const {
+    events,
+  } = this.modules
+
   const keys = Object.keys(this.releases)
 
   for (const key of keys) {
     if (this.releases[key].id === releaseProcessId) {
+      events.unsubscribe(key)
       delete this.releases[key]
     }
   }
@@ -370,6 +398,16 @@ exports.getInstanceIdByKey = function (key) {
   return releaseInfo ? releaseInfo.id : undefined
 }
 
+/**
+ * @summary Retieve the account a game instance is bound to by API key
+ * @param {string} key API key
+ * @returns {Number | undefined} Retrieve the account id
+ */
+exports.getAccountIdByKey = function (key) {
+  const releaseInfo = this.releases[key]
+  return releaseInfo ? releaseInfo.accountId : undefined
+}
+
 /**
  * @summary Validate a session key, and return the related release (or throw a ZaapError)
  * @param {string} sessionKey  Session key to validate
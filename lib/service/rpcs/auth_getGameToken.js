@@ -19,7 +19,7 @@ const execute = function (gameSession, gameId, callback) {
   try {
     service.authorize(gameSession)
 
-    auth.createToken(gameId)
+    auth.createToken(gameId, service.getAccountIdByKey(gameSession))
       .then(function (token) {
         callback(null, token)
       })
@@ -27,6 +27,10 @@ const execute = function (gameSession, gameId, callback) {
         if (error.statusCode === 601) {
           return callback(new ZaapProtocolError({code: ErrorCode['AUTH_' + error.reason]}))
         }
+        // The account of the session is no longer signed in
+        if (error.code === auth.errors.APIKEY_NOT_FOUND) {
+          return callback(new ZaapProtocolError({code: ErrorCode.UNAUTHORIZED}))
+        }
         callback(error)
       })
   } catch (error) {
@@ -29,16 +29,24 @@ const keyList = [
   'AT_MINIMIZE',
   'MINIMIZE_AT_RELEASE_LAUNCH',
   'PRE_RELEASE',
+  'DOWNLOAD_BANDWIDTH_LIMIT',
+  'UPDATE_WINDOWS',
+  'PAUSE_UPDATES_WHILE_PLAYING',
+  'PEER_CACHE_SERVE',
+  'PEER_CACHE_PEERS',
 
   // Technical settings
   'ACCEPTED_TERMS_VERSION',
   'LAST_AUTHENTICATED_ACCOUNT_ID',
   'LAST_AUTHENTICATED_LOGIN',
+  'ACCOUNTS',
   'USER_INFO',
   'FIRST_LAUNCH',
   'WINDOWS_STATE',
   'LAST_OPENED_RELEASE',
   'DEVICE_UID',
+  'PEER_CACHE_PORT',
+  'REPOSITORIES',
 ]
 keyList.forEach(function (key) {
   KEYS[key] = key
@@ -61,9 +69,17 @@ let defaults = {
   [KEYS.AT_MINIMIZE]: 'taskbar',
   [KEYS.MINIMIZE_AT_RELEASE_LAUNCH]: false,
   [KEYS.PRE_RELEASE]: false,
+  [KEYS.DOWNLOAD_BANDWIDTH_LIMIT]: 0,
+  [KEYS.UPDATE_WINDOWS]: [],
+  [KEYS.PAUSE_UPDATES_WHILE_PLAYING]: false,
+  [KEYS.PEER_CACHE_SERVE]: false,
+  [KEYS.PEER_CACHE_PEERS]: [],
 
   // Technical settings
   [KEYS.FIRST_LAUNCH]: true,
+  [KEYS.PEER_CACHE_PORT]: 7117,
+  [KEYS.REPOSITORIES]: [],
+  [KEYS.ACCOUNTS]: [],
 }
 
 /**
@@ -23,6 +23,7 @@ class UpdateActionDownloadFragment extends UpdateAction {
       fs,
       downloadConcurrency,
       buildConfig,
+      updateHelper,
     } = this.dependencies
 
     return new ControllablePromise((resolve, reject, progress, onPause, onResume, onCancel) => {
@@ -32,6 +33,7 @@ class UpdateActionDownloadFragment extends UpdateAction {
       this.runningPromises = []
       this.chunkSize = 0
       this.tempDirPath = path.join(this.location, `.tmp-${buildConfig.name}-download-parts`)
+      this.preloadDirPath = path.join(this.location, updateHelper.preloadFolderName)
 
       this.files = this.params.diff[this.params.fragment].files
       this.archives = this.params.diff[this.params.fragment].archives
@@ -78,6 +80,7 @@ class UpdateActionDownloadFragment extends UpdateAction {
           hash,
           size,
           executable,
+          patch,
         } = this.files[filePath]
 
         if (size === 0) {
@@ -107,8 +110,9 @@ class UpdateActionDownloadFragment extends UpdateAction {
 
         if (hash in acc.filesToDownload) {
           acc.filesToDownload[hash].targets.push(target(executable))
+          acc.filesToDownload[hash].patch = acc.filesToDownload[hash].patch || patch
         } else {
-          acc.filesToDownload[hash] = { packFiles, isPack, size, targets: [target(executable)] }
+          acc.filesToDownload[hash] = { packFiles, isPack, size, patch, targets: [target(executable)] }
         }
         return acc
       }, {
@@ -162,40 +166,167 @@ class UpdateActionDownloadFragment extends UpdateAction {
   }
 
   /**
+   * @summary Fetch a hash from the repository and report the progress of the file
+   * @param {String} hash - hash to fetch
+   * @param {String} filePath - where to write the fetched file
+   * @param {Object} fileData - size and targets
+   * @param {Boolean} checkHash - verify the hash of the fetched file
+   * @param {String} progressHash - hash of the file whose progress is updated
+   * @param {Function} progress - progress callback of the controllable promise
+   * @returns {ControllablePromise} A Promise that resolve when the hash is fetched
+   */
+  fetchHash(hash, filePath, fileData, checkHash, progressHash, progress) {
+    const {
+      fs,
+      fetch,
+    } = this.dependencies
+
+    const subpath = this.toUrlSubpath(this.gameUid, hash)
+
+    fs.ensureDirSync(this.tempDirPath)
+
+    if (this.isPreloaded(hash)) {
+      return this.takePreloadedFile(hash, filePath, fileData, progressHash, progress)
+    }
+
+    // Repositories reading from the disk (bundles) provide their own way to get a hash
+    const fetchPromise = this.repository.isLocal ?
+      this.repository.fetchHash(subpath, filePath, fileData, hash, checkHash) :
+      fetch(subpath, filePath, fileData, hash, checkHash, { repository: this.repository })
+
+    fetchPromise.onProgress(({chunkSize, downloadedSize}) => {
+      this.chunkSize = chunkSize
+      this.fileProgress[progressHash] = downloadedSize * fileData.targets.length
+      this.notifyProgress(progress)
+    })
+
+    return fetchPromise
+  }
+
+  /**
+   * @summary Check if a file was downloaded by the preload of the version
+   * @param {String} hash - hash of the file
+   * @returns {Boolean} true if the file is in the preload folder
+   */
+  isPreloaded(hash) {
+    const {
+      fs,
+    } = this.dependencies
+
+    return fs.existsSync(path.join(this.preloadDirPath, hash))
+  }
+
+  /**
+   * @summary Check if every file of a pack was downloaded by the preload of the version
+   * @param {Object} packFiles - the pack's files
+   * @returns {Boolean} true if the files of the pack are in the preload folder
+   */
+  arePackFilesPreloaded(packFiles) {
+    return Object.keys(packFiles).every((fileName) => this.isPreloaded(packFiles[fileName].hash))
+  }
+
+  /**
+   * @summary Move a preloaded file instead of fetching it
+   * @param {String} hash - hash of the file
+   * @param {String} filePath - where to move the file
+   * @param {Object} fileData - size and targets
+   * @param {String} progressHash - hash of the file whose progress is updated
+   * @param {Function} progress - progress callback of the controllable promise
+   * @returns {ControllablePromise} A Promise that resolve when the file is moved
+   */
+  takePreloadedFile(hash, filePath, fileData, progressHash, progress) {
+    const {
+      fs,
+      cryptoHelper,
+    } = this.dependencies
+
+    return new ControllablePromise((resolve, reject) => {
+      fs.move(path.join(this.preloadDirPath, hash), filePath, { overwrite: true })
+        .then(() => cryptoHelper.getFileHash(filePath))
+        .then((computedHash) => {
+          if (computedHash !== hash) {
+            throw new Error(`preloaded file hash ${computedHash} differ from expected hash ${hash}`)
+          }
+
+          this.fileProgress[progressHash] = fileData.size * fileData.targets.length
+          this.notifyProgress(progress)
+          resolve()
+        })
+        .catch(reject)
+    })
+  }
+
+  /**
+   * The files of the pack are verified and moved like the files
+   * extracted from the pack.
+   *
+   * @summary Move the preloaded files of a pack instead of downloading the pack
+   * @param {String} hash - hash of the pack
+   * @param {Object} fileData - packFiles, size and targets
+   * @param {Function} progress - progress callback of the controllable promise
+   * @returns {Promise} A Promise that resolve when the files are moved
+   */
+  takePreloadedPackFiles(hash, fileData, progress) {
+    const {
+      fs,
+    } = this.dependencies
+
+    const filesByHashes = this.getPackFilesByHashes(fileData.packFiles)
+
+    return Promise.all(Object.keys(filesByHashes).map((fileHash) => {
+      return fs.move(path.join(this.preloadDirPath, fileHash), path.join(this.tempDirPath, fileHash), { overwrite: true })
+    }))
+      .then(() => this.verifyPackFiles(filesByHashes))
+      .then(() => this.movePackFiles(filesByHashes))
+      .then(() => this.setPackFilesPermissions(filesByHashes))
+      .then(() => {
+        this.fileProgress[hash] = fileData.size * fileData.targets.length
+        this.notifyProgress(progress)
+      })
+  }
+
+  /**
+   * When the file has a patch, we try to rebuild it from its local version first,
+   * and fallback to downloading the whole file if it fails.
+   *
    * @summary Download a file
    * @param {String} hash - hash of the file
-   * @param {Object} fileData - isPack, size and targets
+   * @param {Object} fileData - isPack, size, patch and targets
    * @param {Function} progress - progress callback of the controllable promise
    * @returns {Promise} A Promise that resolve when the file is downloaded
    */
   downloadFile(hash, fileData, progress) {
-    const {
-      gameUid,
-    } = this
-
     const {
       fs,
-      fetch,
     } = this.dependencies
 
     const {
       isPack,
       targets,
+      patch,
     } = fileData
 
-
-    const subpath = this.toUrlSubpath(gameUid, hash)
     const tempFilePath = path.join(this.tempDirPath, hash)
 
-    fs.ensureDirSync(this.tempDirPath)
+    if (isPack && this.arePackFilesPreloaded(fileData.packFiles)) {
+      return this.takePreloadedPackFiles(hash, fileData, progress)
+    }
+
+    // A preloaded file is always preferred to a patch, which must be downloaded
+    if (patch && !this.isPreloaded(hash)) {
+      return this.patchFile(hash, fileData, progress)
+        .catch((error) => {
+          if (error.name === 'ControllablePromiseCancelError') {
+            throw error
+          }
 
-    const fetchPromise = fetch(subpath, tempFilePath, fileData, hash, !isPack)
+          logger.warn(`download file: cannot patch ${hash}, downloading the whole file`, error)
+          return fs.remove(tempFilePath)
+            .then(() => this.downloadFile(hash, Object.assign({}, fileData, { patch: null }), progress))
+        })
+    }
 
-    fetchPromise.onProgress(({chunkSize, downloadedSize}) => {
-      this.chunkSize = chunkSize
-      this.fileProgress[hash] = downloadedSize * targets.length
-      this.notifyProgress(progress)
-    })
+    const fetchPromise = this.fetchHash(hash, tempFilePath, fileData, !isPack, hash, progress)
 
     this.addRunningPromise(fetchPromise)
 
@@ -221,6 +352,58 @@ class UpdateActionDownloadFragment extends UpdateAction {
       })
   }
 
+  /**
+   * @summary Download the patch of a file and apply it to the local version of the file
+   * @param {String} hash - hash of the file
+   * @param {Object} fileData - patch and targets
+   * @param {Function} progress - progress callback of the controllable promise
+   * @returns {Promise} A Promise that resolve when the file is patched
+   */
+  patchFile(hash, fileData, progress) {
+    const {
+      fs,
+      cryptoHelper,
+      patchHelper,
+    } = this.dependencies
+
+    const {
+      targets,
+      patch,
+    } = fileData
+
+    const tempFilePath = path.join(this.tempDirPath, hash)
+    const patchFilePath = path.join(this.tempDirPath, patch.hash)
+    const fetchPromise = this.fetchHash(patch.hash, patchFilePath, {
+      size: patch.size,
+      targets,
+    }, true, hash, progress)
+
+    this.addRunningPromise(fetchPromise)
+
+    return fetchPromise
+      .then(() => {
+        this.removeRunningPromise(fetchPromise)
+        return patchHelper.applyPatch(path.join(this.location, patch.sourceFilePath), patchFilePath, tempFilePath)
+      })
+      .then(() => fs.remove(patchFilePath))
+      .then(() => cryptoHelper.getFileHash(tempFilePath))
+      .then((computedHash) => {
+        if (computedHash !== hash) {
+          throw new Error(`patched file hash ${computedHash} differ from expected hash ${hash}`)
+        }
+
+        targets.forEach(({ filePath }) => this.downloadedFiles[filePath] = this.files[filePath])
+        return this.moveFiles(tempFilePath, targets)
+      })
+      .then(() => {
+        this.setPermissions(targets)
+      })
+      .catch((error) => {
+        this.removeRunningPromise(fetchPromise)
+        throw error
+      })
+  }
+
   /**
    * @summary Untar a file
    * @param {string} tempFilePath - the temporary file path of the pack
@@ -236,9 +419,11 @@ class UpdateActionDownloadFragment extends UpdateAction {
       packFiles,
     } = fileData
 
+    const filesByHashes = this.getPackFilesByHashes(packFiles)
+
     return ioHelper.untar(tempFilePath, this.tempDirPath)
+      .then(() => this.verifyPackFiles(filesByHashes))
       .then(() => {
-        const filesByHashes = this.getPackFilesByHashes(packFiles)
         return this.movePackFiles(filesByHashes)
           .then(() => {
             return this.setPackFilesPermissions(filesByHashes)
@@ -267,6 +452,29 @@ class UpdateActionDownloadFragment extends UpdateAction {
     return filesByHash
   }
 
+  /**
+   * Packs are not hashed as a whole, so each of their files is verified
+   * against the hash listed in the release hashes.
+   *
+   * @summary Verify the hashes of the files of a pack
+   * @param {Object} packFilesByHashes - the pack's files by hashes
+   * @return {Promise} A promise that resolve when all the files have been verified
+   */
+  verifyPackFiles(packFilesByHashes) {
+    const {
+      cryptoHelper,
+    } = this.dependencies
+
+    return Promise.all(Object.keys(packFilesByHashes).map((fileHash) => {
+      return cryptoHelper.getFileHash(path.join(this.tempDirPath, fileHash))
+        .then((computedHash) => {
+          if (computedHash !== fileHash) {
+            throw new Error(`pack file hash ${computedHash} differ from expected hash ${fileHash}`)
+          }
+        })
+    }))
+  }
+
   /**
    * @summary Move the files of a pack
    * @param {Object} packFilesByHashes - the pack's files by hashes
@@ -515,6 +723,7 @@ class UpdateActionDownloadFragment extends UpdateAction {
   handleArchive(archiveName, {
     fetchJSON = this.repository.fetchJSON.bind(this.repository),
     xaccessSync = accessSync,
+    adapterManager = AdapterManager,
   } = {}) {
     const {
       gameUid,
@@ -551,7 +760,8 @@ class UpdateActionDownloadFragment extends UpdateAction {
             })
           }
 
-          if (!localArchive || !remoteArchive.files) {
+          // Without an adapter for its format, the archive can not be updated per entry
+          if (!localArchive || !remoteArchive.files || !adapterManager.hasAdapter(archiveName)) {
             return resolve({
               full: true,
             })
@@ -20,14 +20,31 @@ class UpdateActionGetRemoteHashes extends UpdateAction {
       version,
     } = this
 
+    const {
+      updateHelper,
+    } = this.dependencies
+
     return new ControllablePromise((resolve, reject) => {
       const isPreInstall = this.params.updateType === updateTypes.PRE_INSTALL
+      const isRollback = this.params.updateType === updateTypes.ROLLBACK
 
       const args = [gameUid, releaseName, PLATFORM, version]
 
-      const hashesPromise = isPreInstall
-        ? repository.getReleaseConfig(...args)
-        : repository.getRelease(...args)
+      let hashesPromise
+      if (isRollback) {
+        // The repository may no longer list the previous version, its hashes were recorded before the update
+        hashesPromise = updateHelper.getRollback(this.location)
+          .then((rollback) => {
+            if (rollback.version !== version) {
+              throw new Error(`rollback hashes are for version ${rollback.version}, not ${version}`)
+            }
+            return rollback.hashes
+          })
+      } else if (isPreInstall) {
+        hashesPromise = repository.getReleaseConfig(...args)
+      } else {
+        hashesPromise = repository.getRelease(...args)
+      }
 
       hashesPromise
         .then(resolve)
@@ -4,11 +4,34 @@ const path = require('path')
 const PromisePool = require('../../promisePool')
 
 const REPAIR_CONCURRENCY = 10
+const CHECKPOINT_INTERVAL_IN_MS = 10000
+
+const FILE_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  CORRUPTED: 'corrupted',
+  WRONG_PERMISSIONS: 'wrongPermissions',
+}
 
 /**
+ * The repair writes a report of the files it found missing, corrupted,
+ * extra or with wrong permissions in `.release.repair.json`.
+ *
+ * The hashes of the checked files are saved in a checkpoint while the
+ * repair is running. A repair interrupted by a crash or a quit only rehashes
+ * the files whose size or modification time changed since the checkpoint.
+ *
  * @summary UpdateActionRepair
  */
 class UpdateActionRepair extends UpdateAction {
+  /**
+   * @summary Returns the status a file can have in the repair report
+   * @returns {Object} the file statuses
+   */
+  static get fileStatus() {
+    return FILE_STATUS
+  }
+
   /**
    * @summary create promise
    * @returns {ControllablePromise} Promise
@@ -26,6 +49,15 @@ class UpdateActionRepair extends UpdateAction {
     this.hashes = {}
     this.filesProgress = 0
     this.filesToRepair = []
+    this.checkpoint = {}
+    this.resumedFilesCount = 0
+    this.lastCheckpointDate = Date.now()
+    this.report = {
+      missing: [],
+      corrupted: [],
+      extra: [],
+      wrongPermissions: [],
+    }
 
     return new ControllablePromise((resolve, reject, progress) => {
       updateHelper.verifyFragmentsList(fragments, remoteHashes)
@@ -43,14 +75,20 @@ class UpdateActionRepair extends UpdateAction {
             .then(() => {
               self.filesProgress += 1
               self.notifyProgress(progress)
+              self.saveCheckpointIfNeeded()
             })
         }
       }
 
-      const promiseIterator = generatePromises()
-      const pool = PromisePool(promiseIterator, REPAIR_CONCURRENCY)
-
-      pool.start()
+      this.loadCheckpoint()
+        .then(() => {
+          const promiseIterator = generatePromises()
+          const pool = PromisePool(promiseIterator, REPAIR_CONCURRENCY)
+          return pool.start()
+        })
+        .then(() => this.saveCheckpoint())
+        .then(() => this.findExtraFiles())
+        .then(() => this.writeReport())
         .then(() => {
           resolve(this.hashes)
         })
@@ -92,39 +130,74 @@ class UpdateActionRepair extends UpdateAction {
     } = this
 
     const {
-      cryptoHelper,
       logger,
     } = dependencies
 
     return new Promise((resolve) => {
       const absoluteFilePath = path.join(location, filePath)
-      Promise.all([
-        this.getFileExecutableMode(absoluteFilePath),
-        cryptoHelper.getFileHash(absoluteFilePath),
-      ])
-        .then(([executable, hash]) => {
-          this.hashes[fragmentName].files[filePath] = {
-            hash,
-            executable,
-          }
-          resolve()
+      this.getFileStats(absoluteFilePath)
+        .then((stats) => {
+          const executable = this.isExecutable(stats)
+          return this.getFileHash(filePath, stats)
+            .then((hash) => {
+              this.hashes[fragmentName].files[filePath] = {
+                hash,
+                executable,
+              }
+              this.addToReport(fragmentName, filePath, hash, executable)
+              resolve()
+            })
         })
         .catch((error) => {
           logger.debug('repair: cannot get file hash/executable mode. Mark file as broken.', error)
           this.hashes[fragmentName].files[filePath] = {
             hash: '',
           }
+          this.addToReport(fragmentName, filePath, null)
           resolve()
         })
     })
   }
 
   /**
-   * @summary Return the executable mode of the file
+   * The hash saved in the checkpoint is used when the size and the
+   * modification time of the file did not change since it was computed.
+   *
+   * @summary Return the hash of a file
+   * @param {String} filePath - the path of the file
+   * @param {fs.Stats} stats - stats of the file
+   * @returns {Promise} a promise that resolve with the hash of the file
+   */
+  getFileHash(filePath, stats) {
+    const {
+      cryptoHelper,
+    } = this.dependencies
+
+    const checkpointFile = this.checkpoint[filePath]
+    const mtime = stats.mtime.getTime()
+
+    if (checkpointFile && checkpointFile.size === stats.size && checkpointFile.mtime === mtime) {
+      this.resumedFilesCount += 1
+      return Promise.resolve(checkpointFile.hash)
+    }
+
+    return cryptoHelper.getFileHash(path.join(this.location, filePath))
+      .then((hash) => {
+        this.checkpoint[filePath] = {
+          hash,
+          size: stats.size,
+          mtime,
+        }
+        return hash
+      })
+  }
+
+  /**
+   * @summary Return the stats of a file
    * @param {String} absoluteFilePath - absolute path of the file
-   * @returns {Promise} a promise that resolve with the executable mode of the file
+   * @returns {Promise} a promise that resolve with the stats of the file
    */
-  getFileExecutableMode(absoluteFilePath) {
+  getFileStats(absoluteFilePath) {
     const {
       fs,
     } = this.dependencies
@@ -136,10 +209,193 @@ class UpdateActionRepair extends UpdateAction {
           return
         }
 
-        const executableFlags = stats.mode & parseInt('111', 8)
-        resolve(executableFlags !== 0)
+        resolve(stats)
+      })
+    })
+  }
+
+  /**
+   * @summary Return the executable mode of a file
+   * @param {fs.Stats} stats - stats of the file
+   * @returns {Boolean} true if the file is executable
+   */
+  isExecutable(stats) {
+    const executableFlags = stats.mode & parseInt('111', 8)
+    return executableFlags !== 0
+  }
+
+  /**
+   * @summary Add a checked file to the report
+   * @param {String} fragmentName - the name of the fragment
+   * @param {String} filePath - the path of the file
+   * @param {String|null} hash - hash of the local file, null if it can not be read
+   * @param {Boolean} [executable] - executable mode of the local file
+   * @returns {String} the status of the file
+   */
+  addToReport(fragmentName, filePath, hash, executable) {
+    const {
+      platform,
+    } = this.dependencies
+
+    const remoteFile = this.params.remoteHashes[fragmentName].files[filePath]
+    let status = FILE_STATUS.OK
+
+    if (hash === null) {
+      status = FILE_STATUS.MISSING
+    } else if (hash !== remoteFile.hash) {
+      status = FILE_STATUS.CORRUPTED
+    } else if (platform !== 'win32' && executable !== !!remoteFile.executable) {
+      status = FILE_STATUS.WRONG_PERMISSIONS
+    }
+
+    if (status !== FILE_STATUS.OK) {
+      this.report[status].push(filePath)
+    }
+
+    return status
+  }
+
+  /**
+   * Extra files are only reported, they may be user data such as
+   * screenshots or logs written in the game folder.
+   *
+   * @summary Find the files of the release folder which are not in any fragment
+   * @returns {Promise} a promise that resolve when the extra files are added to the report
+   */
+  findExtraFiles() {
+    const {
+      logger,
+      recursive,
+    } = this.dependencies
+
+    const {
+      remoteHashes,
+    } = this.params
+
+    const isReleaseFile = (filePath) => Object.keys(remoteHashes)
+      .some((fragmentName) => remoteHashes[fragmentName].files.hasOwnProperty(filePath))
+
+    return new Promise((resolve) => {
+      recursive(this.location, (error, files) => {
+        if (error) {
+          logger.warn('repair: cannot list the files of the release', error)
+          return resolve()
+        }
+
+        this.report.extra = files
+          .map((file) => path.relative(this.location, file).split(path.sep).join('/'))
+          // Ignore the files of the launcher, such as the hashes and the temporary folders
+          .filter((filePath) => !filePath.startsWith('.release.') && !filePath.startsWith('.tmp-'))
+          .filter((filePath) => !isReleaseFile(filePath))
+          .sort()
+
+        resolve()
+      })
+    })
+  }
+
+  /**
+   * @summary Write the repair report in the release folder
+   * @returns {Promise} a promise that resolve when the report is written
+   */
+  writeReport() {
+    const {
+      fs,
+      logger,
+      updateHelper,
+    } = this.dependencies
+
+    const report = {
+      date: new Date().toISOString(),
+      version: this.version,
+      checkedFilesCount: this.filesToRepair.length,
+      resumedFilesCount: this.resumedFilesCount,
+      files: this.report,
+    }
+
+    logger.info('repair: files checked', {
+      gameUid: this.gameUid,
+      releaseName: this.releaseName,
+      checked: report.checkedFilesCount,
+      resumed: report.resumedFilesCount,
+      missing: this.report.missing.length,
+      corrupted: this.report.corrupted.length,
+      extra: this.report.extra.length,
+      wrongPermissions: this.report.wrongPermissions.length,
+    })
+
+    return fs.writeFile(path.join(this.location, updateHelper.repairReportFileName), JSON.stringify(report, null, 2))
+      .catch((error) => {
+        logger.warn('repair: cannot write the report', error)
+      })
+  }
+
+  /**
+   * @summary Load the checkpoint of a previous repair
+   * @returns {Promise} a promise that resolve when the checkpoint is loaded
+   */
+  loadCheckpoint() {
+    const {
+      fs,
+      logger,
+      updateHelper,
+    } = this.dependencies
+
+    return fs.readFile(path.join(this.location, updateHelper.repairCheckpointFileName))
+      .then((data) => {
+        const checkpoint = JSON.parse(data)
+        this.checkpoint = checkpoint.files || {}
+        logger.info('repair: resuming from checkpoint', {
+          files: Object.keys(this.checkpoint).length,
+        })
+      })
+      .catch((error) => {
+        if (error.code !== 'ENOENT') {
+          logger.warn('repair: cannot load the checkpoint', error)
+        }
       })
+  }
+
+  /**
+   * @summary Save the checkpoint if the last one is too old
+   * @returns {undefined} void
+   */
+  saveCheckpointIfNeeded() {
+    if (Date.now() - this.lastCheckpointDate < CHECKPOINT_INTERVAL_IN_MS) {
+      return
+    }
+
+    this.saveCheckpoint()
+  }
+
+  /**
+   * @summary Save the hashes computed so far
+   * @returns {Promise} a promise that resolve when the checkpoint is saved
+   */
+  saveCheckpoint() {
+    const {
+      fs,
+      logger,
+      updateHelper,
+    } = this.dependencies
+
+    this.lastCheckpointDate = Date.now()
+
+    const checkpointFilePath = path.join(this.location, updateHelper.repairCheckpointFileName)
+    const data = JSON.stringify({
+      files: this.checkpoint,
     })
+
+    // Saves are chained so that two of them never write the temporary file at the same time
+    this.checkpointPromise = (this.checkpointPromise || Promise.resolve())
+      // Write in a temporary file first, so that a crash never leaves a truncated checkpoint
+      .then(() => fs.writeFile(`${checkpointFilePath}.tmp`, data))
+      .then(() => fs.rename(`${checkpointFilePath}.tmp`, checkpointFilePath))
+      .catch((error) => {
+        logger.warn('repair: cannot save the checkpoint', error)
+      })
+
+    return this.checkpointPromise
   }
 
   /**
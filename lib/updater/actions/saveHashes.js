@@ -1,6 +1,9 @@
 const UpdateAction = require('./updateAction')
 const ControllablePromise = require('../../controllablePromise')
 const path = require('path')
+const pMap = require('p-map')
+
+const STAT_CONCURRENCY = 20
 
 /**
  * @summary UpdateActionSaveHashes
@@ -11,6 +14,23 @@ class UpdateActionSaveHashes extends UpdateAction {
    * @returns {ControllablePromise} void
    */
   createPromise() {
+    return new ControllablePromise((resolve, reject) => {
+      this.addDownloadedHashes()
+      this.addDownloadedArchives()
+      this.removeDeletedFragments()
+
+      this.addModificationTimes()
+        .then(() => this.writeHashes())
+        .then(resolve)
+        .catch(reject)
+    })
+  }
+
+  /**
+   * @summary Write the local hashes in the release folder
+   * @returns {Promise} a promise that resolve when the hashes are written
+   */
+  writeHashes() {
     const {
       fs,
       updateHelper,
@@ -20,17 +40,13 @@ class UpdateActionSaveHashes extends UpdateAction {
       localHashes,
     } = this.params
 
-    return new ControllablePromise((resolve, reject) => {
-      this.addDownloadedHashes()
-      this.addDownloadedArchives()
-      this.removeDeletedFragments()
-
+    return new Promise((resolve, reject) => {
       const dataToWrite = Object.entries(localHashes)
         .reduce((acc, [fragmentName, fragment]) => {
           const files = fragment.files && Object.entries(fragment.files)
             .filter(([, data]) => data !== undefined)
-            .reduce((acc, [filename, { hash, size, executable }]) => {
-              acc[filename] = { hash, size, executable }
+            .reduce((acc, [filename, { hash, size, executable, mtime }]) => {
+              acc[filename] = { hash, size, executable, mtime }
               return acc
             }, {})
 
@@ -56,6 +72,42 @@ class UpdateActionSaveHashes extends UpdateAction {
     })
   }
 
+  /**
+   * The modification times let the quick verification skip hashing
+   * the files which have not been modified since they were written.
+   *
+   * @summary Record the modification time of the files which do not have one yet
+   * @returns {Promise} a promise that resolve when the modification times are added
+   */
+  addModificationTimes() {
+    const {
+      fs,
+    } = this.dependencies
+
+    const {
+      localHashes,
+    } = this.params
+
+    const files = Object.values(localHashes)
+      .filter((fragment) => fragment.files)
+      .reduce((acc, fragment) => {
+        return acc.concat(Object.entries(fragment.files)
+          .filter(([, file]) => file && file.hash && file.mtime === undefined))
+      }, [])
+
+    return pMap(files, ([filePath, file]) => {
+      return fs.stat(path.join(this.location, filePath))
+        .then((stats) => {
+          file.mtime = stats.mtime.getTime()
+        })
+        .catch(() => {
+          // the file will be hashed by the next verification
+        })
+    }, {
+      concurrency: STAT_CONCURRENCY,
+    })
+  }
+
   /**
    * @summary Add downloaded hashes to the local hashes
    * @returns {undefined} void
@@ -9,9 +9,11 @@ const fs = require('fs-extra')
 const logger = require('../../logger')
 const path = require('path')
 const pathHelper = require('../../pathHelper')
+const recursive = require('recursive-readdir')
 const scriptSpawner = require('../../scriptSpawner')
 const ioHelper = require('../../ioHelper')
 const updateHelper = require('../helpers/updateHelper')
+const patchHelper = require('../helpers/patchHelper')
 
 const DOWNLOAD_CONCURRENCY = 6
 
@@ -38,8 +40,10 @@ const dependencies = {
   fs,
   ioHelper,
   logger,
+  patchHelper,
   pathHelper,
   platform: process.platform,
+  recursive,
   scriptSpawner,
   updateHelper,
 }
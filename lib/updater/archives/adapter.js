@@ -2,6 +2,38 @@
  * @summary ArchivesAdapter
  */
 class ArchivesAdapter {
+  /**
+   * @summary error name when the file is not a valid archive of the adapter format
+   */
+  static get WRONG_FORMAT_ERROR_NAME() {
+    return 'WRONG_ARCHIVE_FORMAT_ERROR'
+  }
+
+  /**
+   * @summary error name when the archive uses a feature the adapter does not support
+   */
+  static get UNSUPPORTED_FEATURE_ERROR_NAME() {
+    return 'UNSUPPORTED_ARCHIVE_FEATURE_ERROR'
+  }
+
+  /**
+   * @summary error name when the file does not exists
+   */
+  static get DOES_NOT_EXISTS_ERROR_NAME() {
+    return 'ARCHIVE_DOES_NOT_EXISTS_ERROR'
+  }
+
+  /**
+   * @param {String} name name of the error
+   * @param {String} message message of the error
+   * @returns {Error} error
+   */
+  static createError(name, message) {
+    const error = new Error(message)
+    error.name = name
+    return error
+  }
+
   /**
    */
   constructor() {
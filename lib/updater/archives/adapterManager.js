@@ -2,22 +2,67 @@ const { extname } = require('path')
 
 const ArchivesAdapter = require('./adapter')
 const D2PAdapter = require('./d2pAdapter')
+const ZipAdapter = require('./zipAdapter')
+const PakAdapter = require('./pakAdapter')
+const UnityAdapter = require('./unityAdapter')
 
-const ADAPTERS = {
-  '.d2p': D2PAdapter,
-}
+const ADAPTERS = {}
 
 /**
  * @summary AdapterManager
  */
 class AdapterManager {
+  /**
+   * @summary Register the adapter to use for the given extensions
+   * @param {String|Array<String>} extensions extension(s), e.g. '.zip' or [ '.zip', '.pk3' ]
+   * @param {ArchivesAdapter} Adapter class extending ArchivesAdapter
+   * @returns {undefined} void
+   */
+  static registerAdapter(extensions, Adapter) {
+    if (typeof Adapter !== 'function' || !(Adapter.prototype instanceof ArchivesAdapter)) {
+      throw new Error('AdapterManager: an adapter must extend ArchivesAdapter')
+    }
+
+    for (const ext of [].concat(extensions)) {
+      ADAPTERS[AdapterManager.normalizeExtension(ext)] = Adapter
+    }
+  }
+
+  /**
+   * @summary Unregister the adapter of the given extensions
+   * @param {String|Array<String>} extensions extension(s)
+   * @returns {undefined} void
+   */
+  static unregisterAdapter(extensions) {
+    for (const ext of [].concat(extensions)) {
+      delete ADAPTERS[AdapterManager.normalizeExtension(ext)]
+    }
+  }
+
+  /**
+   * @param {String} ext extension, with or without the leading dot
+   * @returns {String} lower case extension with a leading dot
+   */
+  static normalizeExtension(ext) {
+    ext = ext.toLowerCase()
+    return ext.startsWith('.') ? ext : `.${ext}`
+  }
+
+  /**
+   * @param {String} filename filename
+   * @returns {Boolean} true if an adapter is registered for the file
+   */
+  static hasAdapter(filename) {
+    return !!ADAPTERS[extname(filename).toLowerCase()]
+  }
+
   /**
    * Instanciate the right adapter for the given file
    * @param  {String} filename filename
-   * @returns {ArchivesAdapter|D2PAdapter} Adapter
+   * @returns {ArchivesAdapter} Adapter
    */
   static getAdapter(filename) {
-    const ext = extname(filename)
+    const ext = extname(filename).toLowerCase()
 
     const adapter = ADAPTERS[ext]
 
@@ -29,4 +74,9 @@ class AdapterManager {
   }
 }
 
+AdapterManager.registerAdapter('.d2p', D2PAdapter)
+AdapterManager.registerAdapter('.zip', ZipAdapter)
+AdapterManager.registerAdapter('.pak', PakAdapter)
+AdapterManager.registerAdapter(['.unity3d', '.bundle'], UnityAdapter)
+
 module.exports = AdapterManager
@@ -5,20 +5,22 @@ const { SmartBuffer } = require('smart-buffer')
 const { dirname } = require('path')
 const fs = require('fs-extra')
 
+const MAX_UTF_LENGTH = 0xffff
+
+// Strings are prefixed by their length in bytes, as an unsigned short
 SmartBuffer.prototype.readUTF = function () {
-  const len = this.readInt16BE()
-  const utf = this._buff.toString('utf8', this.readOffset, this.readOffset + len)
-  this.readOffset += len
-  return utf
+  const len = this.readUInt16BE()
+  return this.readString(len, 'utf8')
 }
 
 SmartBuffer.prototype.writeUTF = function (str) {
   const len = Buffer.byteLength(str)
-  this.writeInt16BE(len)
-  this._ensureWriteable(len)
-  const writed = this._buff.write(str, this.writeOffset, len)
-  this.writeOffset += len
-  return writed
+  if (len > MAX_UTF_LENGTH) {
+    throw new Error(`D2PAdapter: string too long (${len} bytes, max ${MAX_UTF_LENGTH})`)
+  }
+  this.writeUInt16BE(len)
+  this.writeString(str, 'utf8')
+  return len
 }
 
 /**
@@ -39,6 +41,13 @@ class D2PAdapter extends ArchivesAdapter {
     return 'D2P_DOES_NOT_EXISTS_ERROR'
   }
 
+  /**
+   * @summary error name when an entry to build has no content
+   */
+  static get MISSING_ENTRY_ERROR_NAME() {
+    return 'D2P_MISSING_ENTRY_ERROR'
+  }
+
   /**
    */
   constructor() {
@@ -135,65 +144,68 @@ class D2PAdapter extends ArchivesAdapter {
   }
 
   /**
+   * Entries are written in the given order, which is the order of the
+   * index of the built file.
+   *
    * @param {String} filepath Where to save the file
-   * @param {Array<Object>} archives archives
-   * @param {Object} meta meta
+   * @param {Array<Object>} archives entries, as { name, buffer }
+   * @param {Object} meta meta, as returned by extract
    * @returns {Promise} *
    */
   build(filepath, archives, meta, {
     writeFileAsync = promisify(writeFile),
     fsExtra = fs,
   } = {}) {
+    const properties = (meta && meta.properties) || []
+
+    const missingEntry = archives.find((current) => !Buffer.isBuffer(current.buffer))
+    if (missingEntry) {
+      const error = new Error(`The content of ${missingEntry.name} is missing`)
+      error.name = D2PAdapter.MISSING_ENTRY_ERROR_NAME
+      return Promise.reject(error)
+    }
+
     return fsExtra.mkdirp(dirname(filepath))
       .then(() => {
-        const buffer = SmartBuffer.fromBuffer(Buffer.from([]))
-
         // Ecriture du numero de version
-        buffer.writeInt8(2)
-        buffer.writeInt8(1)
+        const header = Buffer.from([2, 1])
 
-        const indexesSmartBuffer = SmartBuffer.fromBuffer(Buffer.from([]))
-        let offset = 2
-        let count = 0
-        const filesBuffer = archives.reduce((prev, current) => {
+        // Ecriture de l'index, les offsets sont relatifs au debut des datas
+        const indexesSmartBuffer = new SmartBuffer()
+        let dataSize = 0
+        for (const current of archives) {
           indexesSmartBuffer.writeUTF(current.name.replace(/\\/g, '/'))
-          indexesSmartBuffer.writeInt32BE(offset - 2)
+          indexesSmartBuffer.writeInt32BE(dataSize)
           indexesSmartBuffer.writeInt32BE(current.buffer.length)
-          offset += current.buffer.length
-          count++
-          return Buffer.concat([prev, current.buffer])
-        }, Buffer.from([]))
-
-        // Ecriture des datas
-        buffer.writeBuffer(filesBuffer)
-
-        // Ecriture de l'index
+          dataSize += current.buffer.length
+        }
         const indexesBuffer = indexesSmartBuffer.toBuffer()
-        buffer.writeBuffer(indexesBuffer)
-
-        meta.properties = meta.properties || []
 
         // Ecriture des properties
-        for (const property of meta.properties) {
-          buffer.writeUTF(property.key)
-          buffer.writeUTF(property.value)
+        const propertiesSmartBuffer = new SmartBuffer()
+        for (const property of properties) {
+          propertiesSmartBuffer.writeUTF(property.key)
+          propertiesSmartBuffer.writeUTF(property.value)
         }
 
         // Ecriture des tailles et offsets des blocks
+        const footer = new SmartBuffer()
         // Offset des datas
-        buffer.writeInt32BE(2)
+        footer.writeInt32BE(header.length)
         // Taille des datas
-        buffer.writeInt32BE(filesBuffer.byteLength)
+        footer.writeInt32BE(dataSize)
         // Offset des index
-        buffer.writeInt32BE(2 + filesBuffer.byteLength)
+        footer.writeInt32BE(header.length + dataSize)
         // Nombre d'entrés dans l'index
-        buffer.writeInt32BE(count)
+        footer.writeInt32BE(archives.length)
         // Offset des propriétés
-        buffer.writeInt32BE(2 + filesBuffer.byteLength + indexesBuffer.byteLength)
+        footer.writeInt32BE(header.length + dataSize + indexesBuffer.length)
         // Nombre d'entrés dans les propriétés
-        buffer.writeInt32BE(meta.properties.length)
+        footer.writeInt32BE(properties.length)
 
-        return writeFileAsync(filepath, buffer.toBuffer())
+        return writeFileAsync(filepath, Buffer.concat([header]
+          .concat(archives.map((current) => current.buffer))
+          .concat([indexesBuffer, propertiesSmartBuffer.toBuffer(), footer.toBuffer()])))
       })
   }
 }
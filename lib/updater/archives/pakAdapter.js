@@ -0,0 +1,122 @@
+const ArchivesAdapter = require('./adapter')
+const { readFile, writeFile } = require('fs')
+const { promisify } = require('es6-promisify')
+const { dirname } = require('path')
+const fs = require('fs-extra')
+
+const SIGNATURE = 'PACK'
+const HEADER_SIZE = 12
+const ENTRY_SIZE = 64
+const NAME_SIZE = 56
+
+/**
+ * PAK archives are made of a header, the data of the entries and a
+ * directory, all integers being little endian:
+ *
+ *   header:     "PACK", directory offset (int32), directory size (int32)
+ *   directory:  for each entry, name (56 bytes, NUL padded), offset (int32), size (int32)
+ *
+ * The meta of a pak archive is:
+ *
+ *   {
+ *     files: [ <entry names, in the order of the directory> ]
+ *   }
+ *
+ * @summary PakAdapter
+ */
+class PakAdapter extends ArchivesAdapter {
+  /**
+   */
+  constructor() {
+    super()
+  }
+
+  /**
+   * @param {String} filepath filepath
+   * @returns {Promise} *
+   */
+  extract(filepath, {
+    readFileAsync = promisify(readFile),
+  } = {}) {
+    return readFileAsync(filepath)
+      .catch(() => {
+        throw ArchivesAdapter.createError(ArchivesAdapter.DOES_NOT_EXISTS_ERROR_NAME, `This file does not exists. (${filepath})`)
+      })
+      .then((buffer) => {
+        if (buffer.length < HEADER_SIZE || buffer.toString('latin1', 0, 4) !== SIGNATURE) {
+          throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, `This file is not a pak archive. (${filepath})`)
+        }
+
+        const directoryOffset = buffer.readInt32LE(4)
+        const directorySize = buffer.readInt32LE(8)
+
+        if (directorySize % ENTRY_SIZE !== 0 || directoryOffset + directorySize > buffer.length) {
+          throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, `Invalid pak directory. (${filepath})`)
+        }
+
+        const archives = {}
+        const meta = {
+          files: [],
+        }
+
+        for (let offset = directoryOffset; offset < directoryOffset + directorySize; offset += ENTRY_SIZE) {
+          // A name without NUL terminator fills its whole field
+          const nameField = buffer.slice(offset, offset + NAME_SIZE)
+          const nameEnd = nameField.indexOf(0)
+          const filename = nameField.toString('latin1', 0, nameEnd === -1 ? NAME_SIZE : nameEnd)
+          const fileOffset = buffer.readInt32LE(offset + NAME_SIZE)
+          const fileSize = buffer.readInt32LE(offset + NAME_SIZE + 4)
+
+          if (!filename || fileOffset < 0 || fileSize < 0 || fileOffset + fileSize > buffer.length) {
+            throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, `Invalid pak entry ${filename}. (${filepath})`)
+          }
+
+          meta.files.push(filename)
+          archives[filename] = buffer.slice(fileOffset, fileOffset + fileSize)
+        }
+
+        archives.meta = meta
+
+        return archives
+      })
+  }
+
+  /**
+   * @param {String} filepath Where to save the file
+   * @param {Array<Object>} archives archives
+   * @param {Object} meta meta, unused as pak archives have no properties
+   * @returns {Promise} *
+   */
+  build(filepath, archives, meta, {
+    writeFileAsync = promisify(writeFile),
+    fsExtra = fs,
+  } = {}) {
+    return fsExtra.mkdirp(dirname(filepath))
+      .then(() => {
+        const directory = Buffer.alloc(archives.length * ENTRY_SIZE)
+        let offset = HEADER_SIZE
+
+        archives.forEach((current, index) => {
+          const name = current.name.replace(/\\/g, '/')
+
+          if (Buffer.byteLength(name, 'latin1') >= NAME_SIZE) {
+            throw ArchivesAdapter.createError(ArchivesAdapter.UNSUPPORTED_FEATURE_ERROR_NAME, `Pak entry names are limited to ${NAME_SIZE - 1} characters. (${name})`)
+          }
+
+          directory.write(name, index * ENTRY_SIZE, NAME_SIZE, 'latin1')
+          directory.writeInt32LE(offset, index * ENTRY_SIZE + NAME_SIZE)
+          directory.writeInt32LE(current.buffer.length, index * ENTRY_SIZE + NAME_SIZE + 4)
+          offset += current.buffer.length
+        })
+
+        const header = Buffer.alloc(HEADER_SIZE)
+        header.write(SIGNATURE, 0, 4, 'latin1')
+        header.writeInt32LE(offset, 4)
+        header.writeInt32LE(directory.length, 8)
+
+        return writeFileAsync(filepath, Buffer.concat([header].concat(archives.map((current) => current.buffer), [directory])))
+      })
+  }
+}
+
+module.exports = PakAdapter
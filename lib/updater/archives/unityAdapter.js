@@ -0,0 +1,348 @@
+const ArchivesAdapter = require('./adapter')
+const { readFile, writeFile } = require('fs')
+const { promisify } = require('es6-promisify')
+const { dirname } = require('path')
+const fs = require('fs-extra')
+
+const SIGNATURE = 'UnityFS'
+
+const COMPRESSION_MASK = 0x3f
+const COMPRESSION_NONE = 0
+const COMPRESSION_LZ4 = 2
+const COMPRESSION_LZ4HC = 3
+
+const FLAG_BLOCKS_AND_DIRECTORY_COMBINED = 0x40
+const FLAG_BLOCKS_INFO_AT_END = 0x80
+const FLAG_BLOCKS_INFO_NEED_PADDING = 0x200
+
+const BLOCKS_INFO_HASH_SIZE = 16
+const MAX_BLOCK_SIZE = 0x20000
+const DEFAULT_NODE_FLAGS = 4
+
+/**
+ * @param {Buffer} buffer buffer
+ * @param {Number} offset offset
+ * @returns {Number} unsigned 64 bits integer
+ */
+function readUInt64BE(buffer, offset) {
+  return buffer.readUInt32BE(offset) * 0x100000000 + buffer.readUInt32BE(offset + 4)
+}
+
+/**
+ * @param {Buffer} buffer buffer
+ * @param {Number} value unsigned 64 bits integer
+ * @param {Number} offset offset
+ * @returns {undefined} void
+ */
+function writeUInt64BE(buffer, value, offset) {
+  buffer.writeUInt32BE(Math.floor(value / 0x100000000), offset)
+  buffer.writeUInt32BE(value % 0x100000000, offset + 4)
+}
+
+/**
+ * @param {Buffer} buffer buffer
+ * @param {Number} offset offset of the string
+ * @returns {Object} { value, end } where end is the offset following the NUL byte
+ */
+function readCString(buffer, offset) {
+  const end = buffer.indexOf(0, offset)
+  if (end === -1) {
+    throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, 'Unterminated string in asset bundle')
+  }
+  return {
+    value: buffer.toString('utf8', offset, end),
+    end: end + 1,
+  }
+}
+
+/**
+ * @param {Number} offset offset
+ * @returns {Number} offset aligned on 16 bytes
+ */
+function align16(offset) {
+  return Math.ceil(offset / 16) * 16
+}
+
+/**
+ * @param {Buffer} input LZ4 block
+ * @param {Number} size size of the decompressed data
+ * @returns {Buffer} decompressed data
+ */
+function decompressLZ4(input, size) {
+  const output = Buffer.alloc(size)
+  let inputOffset = 0
+  let outputOffset = 0
+
+  const readLength = (length) => {
+    if (length === 15) {
+      let byte
+      do {
+        byte = input[inputOffset++]
+        length += byte
+      } while (byte === 255)
+    }
+    return length
+  }
+
+  while (inputOffset < input.length) {
+    const token = input[inputOffset++]
+
+    const literalLength = readLength(token >> 4)
+    input.copy(output, outputOffset, inputOffset, inputOffset + literalLength)
+    inputOffset += literalLength
+    outputOffset += literalLength
+
+    // The last sequence only has literals
+    if (inputOffset >= input.length) {
+      break
+    }
+
+    const matchOffset = input.readUInt16LE(inputOffset)
+    inputOffset += 2
+
+    if (matchOffset === 0 || matchOffset > outputOffset) {
+      throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, 'Invalid LZ4 block in asset bundle')
+    }
+
+    const matchLength = readLength(token & 0x0f) + 4
+    // Matches may overlap the bytes they produce, so they are copied one by one
+    for (let i = 0; i < matchLength; i++) {
+      output[outputOffset] = output[outputOffset - matchOffset]
+      outputOffset++
+    }
+  }
+
+  if (outputOffset !== size) {
+    throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, 'Invalid LZ4 block size in asset bundle')
+  }
+
+  return output
+}
+
+/**
+ * @param {Buffer} data data of the block
+ * @param {Number} flags flags of the block
+ * @param {Number} size size of the decompressed data
+ * @returns {Buffer} decompressed data
+ */
+function decompress(data, flags, size) {
+  switch (flags & COMPRESSION_MASK) {
+    case COMPRESSION_NONE:
+      return data
+    case COMPRESSION_LZ4:
+    case COMPRESSION_LZ4HC:
+      return decompressLZ4(data, size)
+    default:
+      throw ArchivesAdapter.createError(ArchivesAdapter.UNSUPPORTED_FEATURE_ERROR_NAME, `Asset bundle compression ${flags & COMPRESSION_MASK} is not supported`)
+  }
+}
+
+/**
+ * Bundles compressed with LZ4 or LZ4HC can be extracted, LZMA bundles
+ * are not supported. Bundles are always built uncompressed, which Unity
+ * loads as is.
+ *
+ * The meta of an asset bundle is:
+ *
+ *   {
+ *     files: [ <node paths, in the order of the directory> ],
+ *     version: <format version>,
+ *     unityVersion: <e.g. "5.x.x">,
+ *     unityRevision: <e.g. "2018.4.2f1">,
+ *     flags: <flags of the bundle>,
+ *     nodeFlags: { <node path>: <flags of the node> }
+ *   }
+ *
+ * @summary UnityAdapter
+ */
+class UnityAdapter extends ArchivesAdapter {
+  /**
+   */
+  constructor() {
+    super()
+  }
+
+  /**
+   * @param {String} filepath filepath
+   * @returns {Promise} *
+   */
+  extract(filepath, {
+    readFileAsync = promisify(readFile),
+  } = {}) {
+    return readFileAsync(filepath)
+      .catch(() => {
+        throw ArchivesAdapter.createError(ArchivesAdapter.DOES_NOT_EXISTS_ERROR_NAME, `This file does not exists. (${filepath})`)
+      })
+      .then((buffer) => {
+        const signature = readCString(buffer, 0)
+
+        if (signature.value !== SIGNATURE) {
+          throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, `This file is not an asset bundle. (${filepath})`)
+        }
+
+        const version = buffer.readUInt32BE(signature.end)
+        const unityVersion = readCString(buffer, signature.end + 4)
+        const unityRevision = readCString(buffer, unityVersion.end)
+        let offset = unityRevision.end + 8
+        const compressedBlocksInfoSize = buffer.readUInt32BE(offset)
+        const blocksInfoSize = buffer.readUInt32BE(offset + 4)
+        const flags = buffer.readUInt32BE(offset + 8)
+        offset += 12
+
+        if (version >= 7) {
+          offset = align16(offset)
+        }
+
+        let blocksInfoOffset = offset
+        if (flags & FLAG_BLOCKS_INFO_AT_END) {
+          blocksInfoOffset = buffer.length - compressedBlocksInfoSize
+        } else {
+          offset += compressedBlocksInfoSize
+        }
+
+        if (flags & FLAG_BLOCKS_INFO_NEED_PADDING) {
+          offset = align16(offset)
+        }
+
+        const blocksInfo = decompress(buffer.slice(blocksInfoOffset, blocksInfoOffset + compressedBlocksInfoSize), flags, blocksInfoSize)
+
+        let infoOffset = BLOCKS_INFO_HASH_SIZE
+        const blockCount = blocksInfo.readInt32BE(infoOffset)
+        infoOffset += 4
+
+        const blocks = []
+        for (let i = 0; i < blockCount; i++) {
+          const size = blocksInfo.readUInt32BE(infoOffset)
+          const compressedSize = blocksInfo.readUInt32BE(infoOffset + 4)
+          const blockFlags = blocksInfo.readUInt16BE(infoOffset + 8)
+          infoOffset += 10
+
+          blocks.push(decompress(buffer.slice(offset, offset + compressedSize), blockFlags, size))
+          offset += compressedSize
+        }
+
+        const data = Buffer.concat(blocks)
+        const nodeCount = blocksInfo.readInt32BE(infoOffset)
+        infoOffset += 4
+
+        const archives = {}
+        const meta = {
+          files: [],
+          version,
+          unityVersion: unityVersion.value,
+          unityRevision: unityRevision.value,
+          flags,
+          nodeFlags: {},
+        }
+
+        for (let i = 0; i < nodeCount; i++) {
+          const nodeOffset = readUInt64BE(blocksInfo, infoOffset)
+          const nodeSize = readUInt64BE(blocksInfo, infoOffset + 8)
+          const nodeFlags = blocksInfo.readUInt32BE(infoOffset + 16)
+          const path = readCString(blocksInfo, infoOffset + 20)
+          infoOffset = path.end
+
+          if (nodeOffset + nodeSize > data.length) {
+            throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, `Invalid node ${path.value}. (${filepath})`)
+          }
+
+          meta.files.push(path.value)
+          meta.nodeFlags[path.value] = nodeFlags
+          archives[path.value] = data.slice(nodeOffset, nodeOffset + nodeSize)
+        }
+
+        archives.meta = meta
+
+        return archives
+      })
+  }
+
+  /**
+   * @param {String} filepath Where to save the file
+   * @param {Array<Object>} archives archives
+   * @param {Object} meta meta
+   * @returns {Promise} *
+   */
+  build(filepath, archives, meta, {
+    writeFileAsync = promisify(writeFile),
+    fsExtra = fs,
+  } = {}) {
+    meta = meta || {}
+
+    return fsExtra.mkdirp(dirname(filepath))
+      .then(() => {
+        const version = meta.version || 6
+        const nodeFlags = meta.nodeFlags || {}
+        const flags = COMPRESSION_NONE | FLAG_BLOCKS_AND_DIRECTORY_COMBINED | (meta.flags & FLAG_BLOCKS_INFO_NEED_PADDING)
+        const data = Buffer.concat(archives.map((current) => current.buffer))
+
+        // Blocks
+        const blocks = []
+        for (let offset = 0; offset < data.length || blocks.length === 0; offset += MAX_BLOCK_SIZE) {
+          const block = Buffer.alloc(10)
+          const size = Math.min(MAX_BLOCK_SIZE, data.length - offset)
+          block.writeUInt32BE(size, 0)
+          block.writeUInt32BE(size, 4)
+          block.writeUInt16BE(COMPRESSION_NONE, 8)
+          blocks.push(block)
+        }
+
+        // Nodes
+        let nodeOffset = 0
+        const nodes = archives.map((current) => {
+          const name = current.name.replace(/\\/g, '/')
+          const node = Buffer.alloc(20)
+          writeUInt64BE(node, nodeOffset, 0)
+          writeUInt64BE(node, current.buffer.length, 8)
+          node.writeUInt32BE(name in nodeFlags ? nodeFlags[name] : DEFAULT_NODE_FLAGS, 16)
+          nodeOffset += current.buffer.length
+          return Buffer.concat([node, Buffer.from(`${name}\0`)])
+        })
+
+        const blockCount = Buffer.alloc(4)
+        blockCount.writeInt32BE(blocks.length, 0)
+        const nodeCount = Buffer.alloc(4)
+        nodeCount.writeInt32BE(nodes.length, 0)
+
+        const blocksInfo = Buffer.concat([Buffer.alloc(BLOCKS_INFO_HASH_SIZE), blockCount]
+          .concat(blocks, [nodeCount], nodes))
+
+        // Header
+        const headerStart = Buffer.concat([
+          Buffer.from(`${SIGNATURE}\0`),
+          Buffer.alloc(4),
+          Buffer.from(`${meta.unityVersion || '5.x.x'}\0`),
+          Buffer.from(`${meta.unityRevision || '0.0.0'}\0`),
+        ])
+        headerStart.writeUInt32BE(version, SIGNATURE.length + 1)
+
+        const headerEnd = Buffer.alloc(20)
+        let headerSize = headerStart.length + headerEnd.length
+        if (version >= 7) {
+          headerSize = align16(headerSize)
+        }
+
+        let dataOffset = headerSize + blocksInfo.length
+        if (flags & FLAG_BLOCKS_INFO_NEED_PADDING) {
+          dataOffset = align16(dataOffset)
+        }
+
+        const size = dataOffset + data.length
+        writeUInt64BE(headerEnd, size, 0)
+        headerEnd.writeUInt32BE(blocksInfo.length, 8)
+        headerEnd.writeUInt32BE(blocksInfo.length, 12)
+        headerEnd.writeUInt32BE(flags, 16)
+
+        return writeFileAsync(filepath, Buffer.concat([
+          headerStart,
+          headerEnd,
+          Buffer.alloc(headerSize - headerStart.length - headerEnd.length),
+          blocksInfo,
+          Buffer.alloc(dataOffset - headerSize - blocksInfo.length),
+          data,
+        ]))
+      })
+  }
+}
+
+module.exports = UnityAdapter
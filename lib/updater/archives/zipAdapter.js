@@ -0,0 +1,239 @@
+const ArchivesAdapter = require('./adapter')
+const { readFile, writeFile } = require('fs')
+const { promisify } = require('es6-promisify')
+const { dirname } = require('path')
+const zlib = require('zlib')
+const fs = require('fs-extra')
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22
+const MAX_COMMENT_SIZE = 0xffff
+
+const METHOD_STORED = 0
+const METHOD_DEFLATED = 8
+const FLAG_ENCRYPTED = 0x0001
+const FLAG_UTF8 = 0x0800
+
+// 1980-01-01 00:00:00, so that building the same entries gives the same archive
+const DOS_TIME = 0
+const DOS_DATE = (0 << 9) | (1 << 5) | 1
+
+const CRC_TABLE = new Int32Array(256).map((value, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c
+})
+
+/**
+ * @param {Buffer} buffer buffer
+ * @returns {Number} CRC-32 of the buffer
+ */
+function crc32(buffer) {
+  let crc = -1
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ -1) >>> 0
+}
+
+/**
+ * Entries are stored when deflating them does not make them smaller.
+ * Zip64 archives, encrypted entries and compression methods other than
+ * stored and deflated are not supported.
+ *
+ * The meta of a zip archive is:
+ *
+ *   {
+ *     files: [ <entry names, in the order of the central directory> ],
+ *     comment: <archive comment>
+ *   }
+ *
+ * @summary ZipAdapter
+ */
+class ZipAdapter extends ArchivesAdapter {
+  /**
+   */
+  constructor() {
+    super()
+  }
+
+  /**
+   * @param {String} filepath filepath
+   * @returns {Promise} *
+   */
+  extract(filepath, {
+    readFileAsync = promisify(readFile),
+    inflateRawAsync = promisify(zlib.inflateRaw),
+  } = {}) {
+    return readFileAsync(filepath)
+      .catch(() => {
+        throw ArchivesAdapter.createError(ArchivesAdapter.DOES_NOT_EXISTS_ERROR_NAME, `This file does not exists. (${filepath})`)
+      })
+      .then((buffer) => {
+        const end = this.findEndOfCentralDirectory(buffer)
+        const count = buffer.readUInt16LE(end + 10)
+        const commentLength = buffer.readUInt16LE(end + 20)
+        let offset = buffer.readUInt32LE(end + 16)
+
+        if (count === 0xffff || offset === 0xffffffff) {
+          throw ArchivesAdapter.createError(ArchivesAdapter.UNSUPPORTED_FEATURE_ERROR_NAME, `Zip64 archives are not supported. (${filepath})`)
+        }
+
+        const meta = {
+          files: [],
+          comment: buffer.toString('utf8', end + END_OF_CENTRAL_DIRECTORY_SIZE, end + END_OF_CENTRAL_DIRECTORY_SIZE + commentLength),
+        }
+        const entries = []
+
+        for (let i = 0; i < count; i++) {
+          if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+            throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, `Invalid central directory entry at ${offset}. (${filepath})`)
+          }
+
+          const flags = buffer.readUInt16LE(offset + 8)
+          const method = buffer.readUInt16LE(offset + 10)
+          const nameLength = buffer.readUInt16LE(offset + 28)
+          const entry = {
+            name: buffer.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength),
+            method,
+            crc: buffer.readUInt32LE(offset + 16),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localOffset: buffer.readUInt32LE(offset + 42),
+          }
+
+          if (flags & FLAG_ENCRYPTED) {
+            throw ArchivesAdapter.createError(ArchivesAdapter.UNSUPPORTED_FEATURE_ERROR_NAME, `Encrypted entries are not supported. (${entry.name})`)
+          }
+
+          if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+            throw ArchivesAdapter.createError(ArchivesAdapter.UNSUPPORTED_FEATURE_ERROR_NAME, `Compression method ${method} is not supported. (${entry.name})`)
+          }
+
+          offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32)
+          meta.files.push(entry.name)
+          entries.push(entry)
+        }
+
+        const archives = {}
+
+        return entries.reduce((promise, entry) => promise.then(() => {
+          const localOffset = entry.localOffset
+          if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER_SIGNATURE) {
+            throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, `Invalid local header for ${entry.name}. (${filepath})`)
+          }
+
+          const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+          const data = buffer.slice(dataOffset, dataOffset + entry.compressedSize)
+
+          return (entry.method === METHOD_DEFLATED ? inflateRawAsync(data) : Promise.resolve(data))
+            .then((content) => {
+              if (content.length !== entry.size || crc32(content) !== entry.crc) {
+                throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, `Corrupted entry ${entry.name}. (${filepath})`)
+              }
+
+              archives[entry.name] = content
+            })
+        }), Promise.resolve())
+          .then(() => {
+            archives.meta = meta
+            return archives
+          })
+      })
+  }
+
+  /**
+   * @param {Buffer} buffer content of the archive
+   * @returns {Number} offset of the end of central directory record
+   */
+  findEndOfCentralDirectory(buffer) {
+    const lowest = Math.max(0, buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE - MAX_COMMENT_SIZE)
+
+    for (let offset = buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE; offset >= lowest; offset--) {
+      if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+        return offset
+      }
+    }
+
+    throw ArchivesAdapter.createError(ArchivesAdapter.WRONG_FORMAT_ERROR_NAME, 'This file is not a zip archive')
+  }
+
+  /**
+   * @param {String} filepath Where to save the file
+   * @param {Array<Object>} archives archives
+   * @param {Object} meta meta
+   * @returns {Promise} *
+   */
+  build(filepath, archives, meta, {
+    writeFileAsync = promisify(writeFile),
+    deflateRawAsync = promisify(zlib.deflateRaw),
+    fsExtra = fs,
+  } = {}) {
+    const comment = Buffer.from((meta && meta.comment) || '')
+    const localParts = []
+    const centralParts = []
+    let offset = 0
+
+    return fsExtra.mkdirp(dirname(filepath))
+      .then(() => archives.reduce((promise, current) => promise.then(() => {
+        return deflateRawAsync(current.buffer).then((deflated) => {
+          const name = Buffer.from(current.name.replace(/\\/g, '/'))
+          const method = deflated.length < current.buffer.length ? METHOD_DEFLATED : METHOD_STORED
+          const data = method === METHOD_DEFLATED ? deflated : current.buffer
+          const crc = crc32(current.buffer)
+
+          const local = Buffer.alloc(30)
+          local.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0)
+          local.writeUInt16LE(20, 4)
+          local.writeUInt16LE(FLAG_UTF8, 6)
+          local.writeUInt16LE(method, 8)
+          local.writeUInt16LE(DOS_TIME, 10)
+          local.writeUInt16LE(DOS_DATE, 12)
+          local.writeUInt32LE(crc, 14)
+          local.writeUInt32LE(data.length, 18)
+          local.writeUInt32LE(current.buffer.length, 22)
+          local.writeUInt16LE(name.length, 26)
+          local.writeUInt16LE(0, 28)
+
+          const central = Buffer.alloc(46)
+          central.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0)
+          central.writeUInt16LE(20, 4)
+          central.writeUInt16LE(20, 6)
+          central.writeUInt16LE(FLAG_UTF8, 8)
+          central.writeUInt16LE(method, 10)
+          central.writeUInt16LE(DOS_TIME, 12)
+          central.writeUInt16LE(DOS_DATE, 14)
+          central.writeUInt32LE(crc, 16)
+          central.writeUInt32LE(data.length, 20)
+          central.writeUInt32LE(current.buffer.length, 24)
+          central.writeUInt16LE(name.length, 28)
+          // Directories are flagged as such for the tools extracting the archive
+          central.writeUInt32LE(name.toString().endsWith('/') ? 0x10 : 0, 38)
+          central.writeUInt32LE(offset, 42)
+
+          localParts.push(local, name, data)
+          centralParts.push(central, name)
+          offset += local.length + name.length + data.length
+        })
+      }), Promise.resolve()))
+      .then(() => {
+        const centralDirectory = Buffer.concat(centralParts)
+
+        const end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE)
+        end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0)
+        end.writeUInt16LE(archives.length, 8)
+        end.writeUInt16LE(archives.length, 10)
+        end.writeUInt32LE(centralDirectory.length, 12)
+        end.writeUInt32LE(offset, 16)
+        end.writeUInt16LE(comment.length, 20)
+
+        return writeFileAsync(filepath, Buffer.concat(localParts.concat([centralDirectory, end, comment])))
+      })
+  }
+}
+
+module.exports = ZipAdapter
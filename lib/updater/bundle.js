@@ -0,0 +1,500 @@
+/**
+ * A bundle is a portable copy of an installed release, which can be
+ * used to install the release on machines which cannot reach the
+ * Cytrus repository (from a USB drive, a network share...).
+ *
+ * A bundle follows the layout of the repository, so that the update
+ * process can use it as a repository:
+ *
+ *   <bundle>/zaap-bundle.json
+ *   <bundle>/<gameUid>/releases/<release>/<platform>/<version>.json
+ *   <bundle>/<gameUid>/releases/<release>/<platform>/<version>.config
+ *   <bundle>/<gameUid>/releases/<release>/<platform>/<version>.meta
+ *   <bundle>/<gameUid>/releases/<release>/<platform>/<version>.<json|config|meta>.sig
+ *   <bundle>/<gameUid>/hashes/<xx>/<hash>
+ *
+ * The release hashes, configuration and meta are copied as served by the
+ * repository, along with their signatures, and are verified against the
+ * `cytrus.publicKeys` of the build config when the bundle is installed.
+ *
+ * Only the fragments installed on the exporting machine are part of
+ * the bundle: the other fragments, the packs and the patches are removed
+ * from the release hashes when they are read, so that every file is read
+ * from the bundle one by one.
+ *
+ * @module zaap/updater/bundle
+ */
+const path = require('path')
+const inject = require('instill')
+const ControllablePromise = require('../controllablePromise')
+const logger = require('../logger')
+const helpers = require('../games/helpers')
+
+/* istanbul ignore next */
+inject(exports, {
+  fs: require('fs-extra'),
+  cryptoHelper: require('../cryptoHelper'),
+  buildConfig: require('../buildConfig'),
+  PLATFORM: helpers.getRepositoryPlatform(),
+  // We encapsulate in a function to avoid circular dependencies issues
+  getRegistry: () => require('../games/registry'),
+  getDate: () => new Date(),
+})
+
+// Errors
+const {
+  errors,
+  ZaapError,
+} = require('../errors').register('BUNDLE', {
+  NOT_INSTALLED: 15000,
+  UPDATE_RUNNING: 15001,
+  DESTINATION_NOT_EMPTY: 15002,
+  INVALID_BUNDLE: 15003,
+  BUNDLE_MISMATCH: 15004,
+  FILE_NOT_FOUND: 15005,
+  MISSING_SIGNATURE: 15006,
+  INVALID_SIGNATURE: 15007,
+})
+
+exports.errors = errors
+
+exports.MANIFEST_FILENAME = 'zaap-bundle.json'
+exports.SIGNATURE_EXTENSION = '.sig'
+exports.FORMAT_VERSION = 1
+
+const CONFIGURATION_FRAGMENT = 'configuration'
+
+/**
+ * @summary Get the subpath of a release file, as in the repository
+ * @param {String} gameUid - uid of the game
+ * @param {String} releaseName - name of the release
+ * @param {String} platform - platform of the release
+ * @param {String} version - version of the release
+ * @param {String} extension - extension of the file (json, config or meta)
+ * @returns {String} subpath
+ */
+exports.getReleaseSubpath = function (gameUid, releaseName, platform, version, extension) {
+  return ['', gameUid, 'releases', releaseName, platform, `${version}.${extension}`].join('/')
+}
+
+/**
+ * @summary Get the subpath of a hash file, as in the repository
+ * @param {String} gameUid - uid of the game
+ * @param {String} hash - hash of the file
+ * @returns {String} subpath
+ */
+exports.getHashSubpath = function (gameUid, hash) {
+  return ['', gameUid, 'hashes', hash.substr(0, 2), hash].join('/')
+}
+
+/**
+ * The release hashes, configuration and meta of the installed version are
+ * fetched from the repository, so the exporting machine must be online.
+ *
+ * @summary Export an installed release as a bundle
+ * @param {Release} release - the release to export
+ * @param {String} destination - folder in which to create the bundle, must be empty
+ * @param {Function} [onProgress] - called with { filesCopied, filesTotal } after each copied file
+ * @returns {Promise} Promise resolved with the manifest of the bundle
+ */
+exports.exportRelease = function (release, destination, onProgress = () => {}) {
+  const {
+    fs,
+    PLATFORM,
+    getDate,
+  } = this.modules
+
+  const {
+    NOT_INSTALLED,
+    UPDATE_RUNNING,
+    DESTINATION_NOT_EMPTY,
+  } = errors
+
+  const {
+    gameUid,
+    name: releaseName,
+    version,
+    location,
+  } = release
+
+  if (!release.isInstalled() || !location) {
+    return Promise.reject(new ZaapError(NOT_INSTALLED, 'Cannot export, the release is not installed'))
+  }
+
+  if (release.isUpdateProcessRunning()) {
+    return Promise.reject(new ZaapError(UPDATE_RUNNING, 'Cannot export, an update is running'))
+  }
+
+  if (fs.existsSync(destination) && fs.readdirSync(destination).length > 0) {
+    return Promise.reject(new ZaapError(DESTINATION_NOT_EMPTY, `Cannot export, ${destination} is not empty`))
+  }
+
+  const repository = release.getRepository()
+  const fragments = [CONFIGURATION_FRAGMENT].concat(
+    release.installedFragments.filter((fragment) => fragment !== CONFIGURATION_FRAGMENT)
+  )
+
+  // The files are kept as served by the repository, for their signatures to match
+  const manifestSubpaths = ['json', 'config', 'meta']
+    .map((extension) => this.getReleaseSubpath(gameUid, releaseName, PLATFORM, version, extension))
+
+  return Promise.all(manifestSubpaths.map((subpath) => repository.fetchSigned(subpath))).then((signedFiles) => {
+    const releaseHashes = JSON.parse(signedFiles[0].data)
+    const bundleHashes = this.filterReleaseHashes(releaseHashes, fragments)
+
+    const manifest = {
+      formatVersion: this.FORMAT_VERSION,
+      gameUid,
+      releaseName,
+      platform: PLATFORM,
+      version,
+      fragments,
+      repository: this.getRepositoryGameData(gameUid, releaseName, version, repository.server),
+      createdAt: getDate().toISOString(),
+    }
+
+    const writeSignedFile = (subpath, { data, signature }) => Promise.all([
+      fs.outputFile(path.join(destination, subpath), data),
+      signature && fs.outputFile(path.join(destination, subpath + this.SIGNATURE_EXTENSION), signature),
+    ])
+
+    return this.copyFiles(gameUid, location, bundleHashes, destination, onProgress)
+      .then(() => Promise.all(manifestSubpaths.map((subpath, index) => writeSignedFile(subpath, signedFiles[index]))))
+      .then(() => fs.outputJson(path.join(destination, this.MANIFEST_FILENAME), manifest))
+      .then(() => manifest)
+  })
+}
+
+/**
+ * @summary Keep only the exported fragments of the release hashes, without their packs and patches
+ * @param {Object} releaseHashes - release hashes from the repository
+ * @param {Array} fragments - exported fragments
+ * @returns {Object} release hashes of the bundle
+ */
+exports.filterReleaseHashes = function (releaseHashes, fragments) {
+  return fragments
+    .filter((fragment) => releaseHashes.hasOwnProperty(fragment))
+    .reduce((bundleHashes, fragment) => {
+      bundleHashes[fragment] = Object.assign({}, releaseHashes[fragment])
+      delete bundleHashes[fragment].packs
+      delete bundleHashes[fragment].patches
+      return bundleHashes
+    }, {})
+}
+
+/**
+ * This allows to load the release in the games registry of machines
+ * which never reached the repository.
+ *
+ * @summary Get the repository data of the game, restricted to the exported release
+ * @param {String} gameUid - uid of the game
+ * @param {String} releaseName - name of the release
+ * @param {String} version - exported version
+ * @param {String} server - server of the repository the release is installed from
+ * @returns {Object} { name, game }
+ */
+exports.getRepositoryGameData = function (gameUid, releaseName, version, server) {
+  const {
+    PLATFORM,
+  } = this.modules
+
+  const registry = this.modules.getRegistry()
+  const repositoryData = registry.getRepositoryData(server)
+  const game = repositoryData.games[gameUid]
+  const information = game.assets && game.assets.meta
+
+  return {
+    name: repositoryData.name,
+    game: {
+      gameId: game.gameId,
+      name: game.name,
+      order: game.order,
+      assets: {
+        meta: information && information[releaseName] ? { [releaseName]: information[releaseName] } : {},
+      },
+      platforms: {
+        [PLATFORM]: {
+          [releaseName]: version,
+        },
+      },
+    },
+  }
+}
+
+/**
+ * @summary Copy the files of the release in the hashes folder of the bundle
+ * @param {String} gameUid - uid of the game
+ * @param {String} location - location of the release
+ * @param {Object} bundleHashes - release hashes of the bundle
+ * @param {String} destination - folder of the bundle
+ * @param {Function} onProgress - progress callback
+ * @returns {Promise} Promise resolved once every file is copied
+ */
+exports.copyFiles = function (gameUid, location, bundleHashes, destination, onProgress) {
+  const {
+    fs,
+  } = this.modules
+
+  const {
+    FILE_NOT_FOUND,
+  } = errors
+
+  // Several files may share the same hash, any valid one will do
+  const filePathsByHash = {}
+  Object.keys(bundleHashes).forEach((fragment) => {
+    const files = bundleHashes[fragment].files || {}
+    Object.keys(files).forEach((filePath) => {
+      const { hash, size } = files[filePath]
+      if (!hash || !size) {
+        return
+      }
+
+      if (!filePathsByHash[hash]) {
+        filePathsByHash[hash] = { size, filePaths: [] }
+      }
+      filePathsByHash[hash].filePaths.push(filePath)
+    })
+  })
+
+  const hashes = Object.keys(filePathsByHash)
+  let filesCopied = 0
+
+  return hashes.reduce((promise, hash) => promise.then(() => {
+    const { size, filePaths } = filePathsByHash[hash]
+    const filePath = filePaths.find((filePath) => {
+      try {
+        return fs.statSync(path.join(location, filePath)).size === size
+      } catch (error) {
+        return false
+      }
+    })
+
+    if (!filePath) {
+      throw new ZaapError(
+        FILE_NOT_FOUND,
+        `Cannot export, ${filePaths[0]} is missing or modified, please repair the release first`
+      )
+    }
+
+    return fs.copy(path.join(location, filePath), path.join(destination, this.getHashSubpath(gameUid, hash)))
+      .then(() => {
+        filesCopied += 1
+        onProgress({ filesCopied, filesTotal: hashes.length })
+      })
+  }), Promise.resolve())
+}
+
+/**
+ * @summary Open a bundle to install a release from it
+ * @param {String} bundlePath - folder of the bundle
+ * @param {String} gameUid - uid of the game to install
+ * @param {String} releaseName - name of the release to install
+ * @returns {Promise<BundleRepository>} Promise resolved with a repository reading from the bundle
+ */
+exports.open = function (bundlePath, gameUid, releaseName) {
+  const {
+    fs,
+    PLATFORM,
+  } = this.modules
+
+  const {
+    INVALID_BUNDLE,
+    BUNDLE_MISMATCH,
+  } = errors
+
+  return fs.readJson(path.join(bundlePath, this.MANIFEST_FILENAME))
+    .catch((error) => {
+      logger.warn(`bundle: cannot read the manifest of ${bundlePath}`, error)
+      throw new ZaapError(INVALID_BUNDLE, `${bundlePath} is not a release bundle`)
+    })
+    .then((manifest) => {
+      if (manifest.formatVersion !== this.FORMAT_VERSION) {
+        throw new ZaapError(INVALID_BUNDLE, `Unsupported bundle format version: ${manifest.formatVersion}`)
+      }
+
+      if (manifest.gameUid !== gameUid || manifest.releaseName !== releaseName || manifest.platform !== PLATFORM) {
+        throw new ZaapError(
+          BUNDLE_MISMATCH,
+          `The bundle contains ${manifest.gameUid}/${manifest.releaseName} for ${manifest.platform}`
+        )
+      }
+
+      return new BundleRepository(bundlePath, manifest, this.modules)
+    })
+}
+
+/**
+ * @summary Bundle Repository
+ *
+ * @classdesc BundleRepository exposes the parts of the Repository API
+ * used by the update process, reading the files from a bundle.
+ *
+ * @public
+ * @constructor
+ *
+ * @param {String} bundlePath - folder of the bundle
+ * @param {Object} manifest - manifest of the bundle
+ * @param {Object} [modules] - Injected modules to use.
+ */
+const BundleRepository = function (bundlePath, manifest, modules = exports.modules) {
+  Object.defineProperty(this, 'modules', {
+    value: modules,
+    enumerable: false,
+  })
+
+  this.server = bundlePath
+  this.manifest = manifest
+  this.isLocal = true
+}
+
+exports.BundleRepository = BundleRepository
+
+/**
+ * Same checks as `Repository.fetchSignedJSON`: when public keys are set in
+ * the build config, a file whose signature is missing or does not match
+ * is rejected.
+ *
+ * @summary Read a JSON file from the bundle once its signature is verified
+ * @param {String} subPath - the relative path to the file
+ * @returns {Promise} Promise resolved with the parsed file
+ */
+BundleRepository.prototype.fetchSignedJSON = function (subPath) {
+  const {
+    fs,
+    cryptoHelper,
+    buildConfig,
+  } = this.modules
+
+  const {
+    MISSING_SIGNATURE,
+    INVALID_SIGNATURE,
+  } = errors
+
+  const publicKeys = (buildConfig.cytrus && buildConfig.cytrus.publicKeys) || []
+  const filepath = path.join(this.server, subPath)
+
+  if (publicKeys.length === 0) {
+    return fs.readJson(filepath)
+  }
+
+  const signaturePromise = fs.readFile(filepath + exports.SIGNATURE_EXTENSION, 'utf8')
+    .catch((error) => {
+      logger.error(`bundle: cannot read the signature of ${subPath}`, error)
+      throw new ZaapError(MISSING_SIGNATURE, `Missing signature for ${subPath}`)
+    })
+
+  return Promise.all([fs.readFile(filepath), signaturePromise])
+    .then(([data, signature]) => {
+      if (!cryptoHelper.verifySignature(data, signature.trim(), publicKeys)) {
+        logger.error(`bundle: invalid signature for ${subPath}`, {
+          bundle: this.server,
+        })
+        throw new ZaapError(INVALID_SIGNATURE, `Invalid signature for ${subPath}`)
+      }
+
+      return JSON.parse(data)
+    })
+}
+
+/**
+ * @summary Retrieve the list of files of the release
+ * @param {String} gameUid - uid of the game
+ * @param {String} release - name of the release
+ * @param {String} platform - platform of the release
+ * @param {String} version - version of the release
+ * @returns {Promise} Promise resolved with the release hashes
+ */
+BundleRepository.prototype.getRelease = function (gameUid, release, platform, version) {
+  return this.fetchSignedJSON(exports.getReleaseSubpath(gameUid, release, platform, version, 'json'))
+    .then((releaseHashes) => exports.filterReleaseHashes(releaseHashes, this.manifest.fragments))
+}
+
+/**
+ * @summary Retrieve the configuration fragment of the release
+ * @param {String} gameUid - uid of the game
+ * @param {String} release - name of the release
+ * @param {String} platform - platform of the release
+ * @param {String} version - version of the release
+ * @returns {Promise} Promise resolved with the release configuration
+ */
+BundleRepository.prototype.getReleaseConfig = function (gameUid, release, platform, version) {
+  return this.fetchSignedJSON(exports.getReleaseSubpath(gameUid, release, platform, version, 'config'))
+}
+
+/**
+ * @summary Retrieve the fragment sizes of the release
+ * @param {String} gameUid - uid of the game
+ * @param {String} release - name of the release
+ * @param {String} platform - platform of the release
+ * @param {String} version - version of the release
+ * @returns {Promise} Promise resolved with the release meta
+ */
+BundleRepository.prototype.getReleaseMeta = function (gameUid, release, platform, version) {
+  return this.fetchSignedJSON(exports.getReleaseSubpath(gameUid, release, platform, version, 'meta'))
+}
+
+/**
+ * Same contract as `fetch`: the file is copied to `filepath`, then its hash
+ * is verified. Copies cannot be paused or canceled midway.
+ *
+ * @summary Copy a hash file from the bundle
+ * @param {String} subpath - subpath of the hash file
+ * @param {String} filepath - where to copy the file
+ * @param {Object} fileData - size and targets of the file
+ * @param {String} hash - expected hash of the file
+ * @param {Boolean} [checkHash] - verify the hash of the copied file
+ * @returns {ControllablePromise} Promise resolved once the file is copied
+ */
+BundleRepository.prototype.fetchHash = function (subpath, filepath, fileData, hash, checkHash = true) {
+  const {
+    fs,
+    cryptoHelper,
+  } = this.modules
+
+  const {
+    FILE_NOT_FOUND,
+  } = errors
+
+  return new ControllablePromise((resolve, reject, progress) => {
+    let size = 0
+    const rs = fs.createReadStream(path.join(this.server, subpath))
+    const ws = fs.createWriteStream(filepath)
+
+    rs.on('data', (chunk) => {
+      size += chunk.length
+      progress({
+        chunkSize: chunk.length,
+        downloadedSize: size,
+      })
+    })
+
+    rs.once('error', (error) => {
+      ws.end()
+      logger.warn(`bundle: cannot read ${subpath}`, error)
+      reject(new ZaapError(FILE_NOT_FOUND, `The bundle does not contain ${hash}`))
+    })
+
+    ws.once('error', reject)
+
+    ws.once('finish', () => {
+      if (size !== fileData.size) {
+        return reject(new ZaapError(FILE_NOT_FOUND, `The bundle contains an invalid file for ${hash}`))
+      }
+
+      if (!checkHash) {
+        return resolve()
+      }
+
+      cryptoHelper.getFileHash(filepath)
+        .then((computedHash) => {
+          if (computedHash !== hash) {
+            return reject(new ZaapError(FILE_NOT_FOUND, `The bundle contains an invalid file for ${hash}`))
+          }
+          resolve()
+        })
+        .catch(reject)
+    })
+
+    rs.pipe(ws)
+  })
+}
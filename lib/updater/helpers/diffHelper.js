@@ -14,6 +14,7 @@ class DiffHelper {
    */
   constructor(fragments, localHashes, remoteHashes, dependencies = {
     updateHelper: require('./updateHelper'),
+    patchHelper: require('./patchHelper'),
   }) {
     this.fragments = fragments
     this.localHashes = deepCopy(localHashes)
@@ -62,6 +63,10 @@ class DiffHelper {
       localHashes,
     } = this
 
+    const {
+      patchHelper,
+    } = this.dependencies
+
     for (let fragmentName in remoteHashes) {
       const remoteFragment = remoteHashes[fragmentName]
       const localFragment = localHashes[fragmentName]
@@ -97,6 +102,12 @@ class DiffHelper {
             executable: !!remoteFile.executable,
           }
 
+          // rebuild the file from its local version if the repository published a patch
+          const patch = localFile && !sameHash && patchHelper.findPatch(remoteFragment, localFile.hash, remoteFile.hash)
+          if (patch) {
+            this.diff[fragmentName].files[fileName].patch = Object.assign({ sourceFilePath: fileName }, patch)
+          }
+
           if (remoteFragment.archives && remoteFragment.archives[fileName]) {
             /* istanbul ignore next */
             if (!this.diff[fragmentName].archives) {
@@ -199,6 +210,11 @@ class DiffHelper {
       if (diffHashes.hasOwnProperty(fileHash)) {
         const files = diffHashes[fileHash]
         files.forEach((file) => {
+          // patched files are rebuilt locally, they do not need the pack
+          if (fragmentDiff.files[file.fileName].patch) {
+            return
+          }
+
           filesInPack[file.fileName] = {
             hash: fileHash,
             size: file.size,
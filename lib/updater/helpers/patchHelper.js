@@ -0,0 +1,200 @@
+/**
+ * Binary patches let the updater rebuild a file from its previous
+ * version instead of downloading it entirely.
+ *
+ * The repository publishes the patches of a fragment next to its files:
+ *
+ *   "patches": {
+ *     "<new hash>": {
+ *       "<old hash>": { "hash": "<patch hash>", "size": <patch size> }
+ *     }
+ *   }
+ *
+ * Patches are stored as any other hash of the repository. A patch file is
+ * made of a header followed by instructions, all integers being big endian:
+ *
+ *   header:  "ZPATCH01", source size (uint64), target size (uint64)
+ *   COPY:    0x01, source offset (uint64), length (uint32)
+ *   ADD:     0x02, length (uint32), <length> bytes of data
+ *
+ * Instructions are applied in order until the target size is reached.
+ *
+ * @module zaap/updater/helpers/patchHelper
+ */
+const inject = require('instill')
+const { promisify } = require('es6-promisify')
+
+/* istanbul ignore next */
+inject(exports, {
+  fs: require('fs'),
+})
+
+exports.MAGIC = 'ZPATCH01'
+exports.OPCODES = {
+  COPY: 0x01,
+  ADD: 0x02,
+}
+
+const HEADER_SIZE = 24
+const MAX_CHUNK_SIZE = 1024 * 1024
+
+/**
+ * @summary Read a 64 bits unsigned integer
+ * @param {Buffer} buffer - buffer to read from
+ * @param {Number} offset - offset of the integer
+ * @returns {Number} the integer
+ */
+function readUInt64BE(buffer, offset) {
+  return buffer.readUInt32BE(offset) * 0x100000000 + buffer.readUInt32BE(offset + 4)
+}
+
+/**
+ * @summary Find the patch to rebuild a file from its local version
+ * @param {Object} remoteFragment - fragment from the remote hashes
+ * @param {String} fromHash - hash of the local file
+ * @param {String} toHash - hash of the remote file
+ * @returns {Object|null} { hash, size } of the patch, or null if there is none
+ */
+exports.findPatch = function (remoteFragment, fromHash, toHash) {
+  const patches = remoteFragment.patches && remoteFragment.patches[toHash]
+
+  if (!patches || !patches[fromHash]) {
+    return null
+  }
+
+  const { hash, size } = patches[fromHash]
+  return { hash, size }
+}
+
+/**
+ * The result must be verified against its expected hash by the caller.
+ *
+ * @summary Apply a patch to a source file
+ * @param {String} sourcePath - path of the file to patch
+ * @param {String} patchPath - path of the patch
+ * @param {String} targetPath - path of the file to create
+ * @returns {Promise} Promise resolved once the target file is written
+ */
+exports.applyPatch = function (sourcePath, patchPath, targetPath) {
+  const {
+    fs,
+  } = this.modules
+
+  const open = promisify(fs.open)
+  const close = promisify(fs.close)
+  const fstat = promisify(fs.fstat)
+
+  // fs.read resolves with multiple values, which promisify does not support
+  const read = (fd, length, position) => new Promise((resolve, reject) => {
+    const buffer = Buffer.alloc(length)
+    fs.read(fd, buffer, 0, length, position, (error, bytesRead) => {
+      if (error) {
+        return reject(error)
+      }
+
+      if (bytesRead !== length) {
+        return reject(new Error(`patchHelper: unexpected end of file at ${position}`))
+      }
+
+      resolve(buffer)
+    })
+  })
+
+  const write = promisify(fs.write)
+
+  const fds = []
+  const openFile = (filePath, flags) => open(filePath, flags).then((fd) => {
+    fds.push(fd)
+    return fd
+  })
+
+  return Promise.all([
+    openFile(sourcePath, 'r'),
+    openFile(patchPath, 'r'),
+    openFile(targetPath, 'w'),
+  ]).then(([sourceFd, patchFd, targetFd]) => {
+    let patchPosition = 0
+    let targetPosition = 0
+    let sourceSize
+    let targetSize
+
+    const readPatch = (length) => read(patchFd, length, patchPosition).then((buffer) => {
+      patchPosition += length
+      return buffer
+    })
+
+    const copyChunks = (readChunk, length) => {
+      const chunkSize = Math.min(length, MAX_CHUNK_SIZE)
+
+      return readChunk(chunkSize)
+        .then((buffer) => write(targetFd, buffer, 0, chunkSize, targetPosition))
+        .then(() => {
+          targetPosition += chunkSize
+          if (length > chunkSize) {
+            return copyChunks(readChunk, length - chunkSize)
+          }
+        })
+    }
+
+    const applyNextInstruction = () => {
+      if (targetPosition === targetSize) {
+        return
+      }
+
+      if (targetPosition > targetSize) {
+        throw new Error('patchHelper: the patch writes past the end of the target')
+      }
+
+      return readPatch(1).then(([opcode]) => {
+        switch (opcode) {
+          case exports.OPCODES.COPY:
+            return readPatch(12).then((buffer) => {
+              let sourcePosition = readUInt64BE(buffer, 0)
+              const length = buffer.readUInt32BE(8)
+
+              if (sourcePosition + length > sourceSize) {
+                throw new Error('patchHelper: the patch reads past the end of the source')
+              }
+
+              return copyChunks((chunkSize) => read(sourceFd, chunkSize, sourcePosition).then((chunk) => {
+                sourcePosition += chunkSize
+                return chunk
+              }), length)
+            })
+
+          case exports.OPCODES.ADD:
+            return readPatch(4).then((buffer) => copyChunks(readPatch, buffer.readUInt32BE(0)))
+
+          default:
+            throw new Error(`patchHelper: unknown opcode ${opcode}`)
+        }
+      }).then(applyNextInstruction)
+    }
+
+    return readPatch(HEADER_SIZE)
+      .then((header) => {
+        if (header.toString('ascii', 0, exports.MAGIC.length) !== exports.MAGIC) {
+          throw new Error('patchHelper: invalid patch header')
+        }
+
+        sourceSize = readUInt64BE(header, 8)
+        targetSize = readUInt64BE(header, 16)
+
+        return fstat(sourceFd)
+      })
+      .then((stats) => {
+        if (stats.size !== sourceSize) {
+          throw new Error(`patchHelper: source size is ${stats.size}, expected ${sourceSize}`)
+        }
+
+        return applyNextInstruction()
+      })
+  }).then(() => {
+    return Promise.all(fds.map((fd) => close(fd)))
+  }, (error) => {
+    return Promise.all(fds.map((fd) => close(fd).catch(() => {})))
+      .then(() => {
+        throw error
+      })
+  })
+}
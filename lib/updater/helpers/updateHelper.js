@@ -78,7 +78,8 @@ exports.calculateUpdateSize = function (gameData) {
     for (let filename in fragment.files) {
       const file = fragment.files[filename]
       if (file.download) {
-        fragmentSize += fragment.files[filename].size
+        // only the patch is downloaded for patched files
+        fragmentSize += file.patch ? file.patch.size : file.size
         totalFiles += 1
       }
     }
@@ -112,5 +113,108 @@ exports.getLocalHashes = function (location) {
   return promisify(fs.readFile)(hashesFilePath).then(JSON.parse)
 }
 
+/**
+ * @summary Write the '.release.hashes.json' file.
+ * @param {Object} location - Path to the update folder.
+ * @param {Object} hashes - The hashes object, as returned by getLocalHashes.
+ * @return {Promise} Promise that fulfills when the json file is written.
+ */
+exports.saveLocalHashes = function (location, hashes) {
+  const {
+    fs,
+  } = this.modules
+
+  const hashesFilePath = path.join(location, this.hashesFileName)
+  return promisify(fs.writeFile)(hashesFilePath, JSON.stringify(hashes))
+}
+
+/**
+ * The checkpoint is kept until the repair completes, so that a repair
+ * interrupted during its downloads does not rehash unchanged files either.
+ *
+ * @summary Remove the checkpoint of the last repair
+ * @param {Object} location - Path to the update folder.
+ * @return {Promise} Promise resolved once the checkpoint is removed
+ */
+exports.removeRepairCheckpoint = function (location) {
+  const {
+    fs,
+  } = this.modules
+
+  const checkpointFilePath = path.join(location, this.repairCheckpointFileName)
+  return promisify(fs.unlink)(checkpointFilePath)
+    .catch((error) => {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    })
+}
+
+/**
+ * The rollback file keeps the hashes of the version installed before the
+ * last update, as { version, hashes }. The hashes of an update resumed
+ * after a crash were already modified, so the file is only written when it
+ * does not hold the installed version yet.
+ *
+ * @summary Save the local hashes of the installed version for a rollback.
+ * @param {Object} location - Path to the update folder.
+ * @param {String} version - Installed version.
+ * @return {Promise} Promise resolved once the hashes are saved
+ */
+exports.saveRollback = function (location, version) {
+  const {
+    fs,
+  } = this.modules
+
+  return this.getRollback(location)
+    .then((rollback) => rollback.version === version, () => false)
+    .then((isSaved) => {
+      if (isSaved) {
+        return
+      }
+
+      return this.getLocalHashes(location)
+        .then((hashes) => promisify(fs.writeFile)(
+          path.join(location, this.rollbackFileName),
+          JSON.stringify({ version, hashes })
+        ))
+    })
+}
+
+/**
+ * @summary Read and parse the rollback file.
+ * @param {Object} location - Path to the update folder.
+ * @return {Promise<Object>} Promise that fulfills { version, hashes }
+ */
+exports.getRollback = function (location) {
+  const {
+    fs,
+  } = this.modules
+
+  return promisify(fs.readFile)(path.join(location, this.rollbackFileName)).then(JSON.parse)
+}
+
+/**
+ * @summary Remove the rollback file.
+ * @param {Object} location - Path to the update folder.
+ * @return {Promise} Promise resolved once the file is removed
+ */
+exports.removeRollback = function (location) {
+  const {
+    fs,
+  } = this.modules
+
+  return promisify(fs.unlink)(path.join(location, this.rollbackFileName))
+    .catch((error) => {
+      if (error.code !== 'ENOENT') {
+        throw error
+      }
+    })
+}
+
 exports.hashesFileName = '.release.hashes.json'
 exports.releaseInfosFileName = '.release.infos.json'
+exports.repairReportFileName = '.release.repair.json'
+exports.repairCheckpointFileName = '.release.repair.checkpoint.json'
+exports.preloadFolderName = '.release.preload'
+exports.rollbackFileName = '.release.rollback.json'
@@ -0,0 +1,221 @@
+/**
+ * The preload downloads the files of the upcoming version of a release
+ * before this version goes live.
+ *
+ * Repositories advertise the upcoming version of a release in the
+ * `preload` entry of the game in `cytrus.json`, next to `platforms`:
+ *
+ *   "preload": {
+ *     "<platform>": { "<releaseName>": "<version>" }
+ *   }
+ *
+ * The files of this version which are not already installed are stored,
+ * by hash, in the preload folder of the release. When the version goes
+ * live, the update takes them from this folder instead of downloading
+ * them, see `UpdateActionDownloadFragment`.
+ *
+ * Unlike the `PRE_INSTALL` updates, which download the configuration of
+ * a release in a temporary folder, the preload never writes the files of
+ * the release itself: the game can be played while it runs.
+ *
+ * @module zaap/updater/preload
+ */
+const path = require('path')
+const inject = require('instill')
+const ControllablePromise = require('../controllablePromise')
+const helpers = require('../games/helpers')
+const PLATFORM = helpers.getRepositoryPlatform()
+
+/* istanbul ignore next */
+inject(exports, {
+  fs: require('fs-extra'),
+  fetch: require('../fetch'),
+  logger: require('../logger'),
+  updateHelper: require('./helpers/updateHelper'),
+})
+
+/**
+ * @summary Get the preload folder of a release
+ * @param {String} location - location of the release
+ * @returns {String} the path of the preload folder
+ */
+exports.getFolder = function (location) {
+  const {
+    updateHelper,
+  } = this.modules
+
+  return path.join(location, updateHelper.preloadFolderName)
+}
+
+/**
+ * Files whose hash is already installed, in any fragment, are copied
+ * locally by the update and do not need to be preloaded.
+ *
+ * @summary Find the files to preload
+ * @param {Object} remoteHashes - hashes of the upcoming version
+ * @param {Object} localHashes - hashes of the installed version
+ * @param {Array<String>} fragments - fragments of the release
+ * @returns {Object} size of the files to preload, by hash
+ */
+exports.getFilesToPreload = function (remoteHashes, localHashes, fragments) {
+  const installedHashes = new Set()
+  Object.keys(localHashes).forEach((fragmentName) => {
+    const fragmentFiles = localHashes[fragmentName].files || {}
+    Object.keys(fragmentFiles).forEach((filePath) => installedHashes.add(fragmentFiles[filePath].hash))
+  })
+
+  const files = {}
+  fragments
+    .filter((fragmentName) => remoteHashes.hasOwnProperty(fragmentName))
+    .forEach((fragmentName) => {
+      const fragmentFiles = remoteHashes[fragmentName].files
+      Object.keys(fragmentFiles).forEach((filePath) => {
+        const {
+          hash,
+          size,
+        } = fragmentFiles[filePath]
+
+        // Empty files are created by the update itself
+        if (size > 0 && !installedHashes.has(hash)) {
+          files[hash] = size
+        }
+      })
+    })
+
+  return files
+}
+
+/**
+ * The files are downloaded one at a time, so that the preload does not
+ * slow down the updates and the games too much. Files already in the
+ * preload folder are kept, the other files of this folder are removed.
+ *
+ * @summary Preload a version of a release
+ * @param {Repository} repository - repository to download the files from
+ * @param {String} gameUid - uid of the game
+ * @param {String} releaseName - name of the release
+ * @param {String} version - version to preload
+ * @param {Array<String>} fragments - fragments of the release
+ * @param {String} location - location of the release
+ * @returns {ControllablePromise} Promise resolved when every file is preloaded, progress is { preloadedSize, totalSize }
+ */
+exports.start = function (repository, gameUid, releaseName, version, fragments, location) {
+  const {
+    fs,
+    fetch,
+    updateHelper,
+  } = this.modules
+
+  const folder = this.getFolder(location)
+
+  return new ControllablePromise((resolve, reject, progress, onPause, onResume, onCancel) => {
+    let isCanceled = false
+    let currentFetch = null
+
+    onCancel((resolveCancel) => {
+      isCanceled = true
+      const cancelPromise = currentFetch ? currentFetch.cancel() : Promise.resolve()
+      // A file which is being verified can not be canceled, the next ones will not be downloaded
+      cancelPromise.catch(() => {}).then(resolveCancel)
+    })
+
+    Promise.all([
+      repository.getRelease(gameUid, releaseName, PLATFORM, version),
+      updateHelper.getLocalHashes(location),
+    ])
+      .then(([remoteHashes, localHashes]) => {
+        const files = this.getFilesToPreload(remoteHashes, localHashes, fragments)
+        const hashes = Object.keys(files)
+        const totalSize = hashes.reduce((size, hash) => size + files[hash], 0)
+        let preloadedSize = 0
+
+        const preloadFile = (hash) => {
+          const filePath = path.join(folder, hash)
+
+          return fs.stat(filePath)
+            .then((stats) => stats.size, () => 0)
+            .then((size) => {
+              if (isCanceled || size === files[hash]) {
+                return
+              }
+
+              currentFetch = fetch(toUrlSubpath(gameUid, hash), filePath, {
+                size: files[hash],
+                targets: [],
+              }, hash, true, { repository })
+
+              return currentFetch.then(() => {
+                currentFetch = null
+              })
+            })
+            .then(() => {
+              preloadedSize += files[hash]
+              progress({
+                preloadedSize,
+                totalSize,
+              })
+            })
+        }
+
+        return fs.ensureDir(folder)
+          .then(() => this.removeUnusedFiles(folder, hashes))
+          .then(() => hashes.reduce((promise, hash) => promise.then(() => preloadFile(hash)), Promise.resolve()))
+      })
+      .then(() => {
+        if (!isCanceled) {
+          resolve()
+        }
+      })
+      .catch((error) => {
+        if (!isCanceled) {
+          reject(error)
+        }
+      })
+  })
+}
+
+/**
+ * @summary Remove the files of the preload folder which are no longer needed
+ * @param {String} folder - the preload folder
+ * @param {Array<String>} hashes - hashes of the files to keep
+ * @returns {Promise} Promise resolved when the files are removed
+ */
+exports.removeUnusedFiles = function (folder, hashes) {
+  const {
+    fs,
+  } = this.modules
+
+  const keptHashes = new Set(hashes)
+
+  return fs.readdir(folder)
+    .then((fileNames) => Promise.all(fileNames
+      .filter((fileName) => !keptHashes.has(fileName))
+      .map((fileName) => fs.remove(path.join(folder, fileName)))))
+}
+
+/**
+ * @summary Remove the preload folder of a release
+ * @param {String} location - location of the release
+ * @returns {Promise} Promise resolved when the folder is removed
+ */
+exports.clear = function (location) {
+  const {
+    fs,
+    logger,
+  } = this.modules
+
+  return fs.remove(this.getFolder(location))
+    .catch((error) => {
+      logger.warn('preload: cannot remove the preload folder', error)
+    })
+}
+
+/**
+ * @summary Create the url subpath of a hash
+ * @param {String} gameUid - uid of the game
+ * @param {String} hash - hash of the file
+ * @returns {String} the subpath
+ */
+function toUrlSubpath(gameUid, hash) {
+  return ['', gameUid, 'hashes', hash.substr(0, 2), hash].join('/')
+}
@@ -0,0 +1,136 @@
+/**
+ * The quick verification checks the files of an installed release
+ * against the local hashes written by the `SaveHashes` action.
+ *
+ * Files whose size and modification time are the recorded ones are
+ * considered valid without being read. Only the other files are hashed,
+ * so that a healthy installation is verified in a few seconds. The size
+ * and modification time of the hashed files found valid are recorded, so
+ * that they are not hashed again by the next verification. A full
+ * repair remains the fallback when a file is found missing or corrupted.
+ *
+ * @module zaap/updater/quickVerify
+ */
+const path = require('path')
+const inject = require('instill')
+const pMap = require('p-map')
+
+/* istanbul ignore next */
+inject(exports, {
+  fs: require('fs-extra'),
+  cryptoHelper: require('../cryptoHelper'),
+  updateHelper: require('./helpers/updateHelper'),
+})
+
+const VERIFY_CONCURRENCY = 10
+
+exports.FILE_STATUS = {
+  OK: 'ok',
+  MISSING: 'missing',
+  CORRUPTED: 'corrupted',
+}
+
+/**
+ * @summary Verify the files of an installed release
+ * @param {String} location - location of the release
+ * @param {Function} [onProgress] - called with { filesProgress, filesTotal } after each file
+ * @returns {Promise} Promise resolved with { isValid, checkedFilesCount, hashedFilesCount, missing, corrupted }
+ */
+exports.verify = function (location, onProgress = () => {}) {
+  const {
+    updateHelper,
+  } = this.modules
+
+  return updateHelper.getLocalHashes(location)
+    .then((hashes) => {
+      const files = Object.keys(hashes).reduce((acc, fragmentName) => {
+        const fragmentFiles = hashes[fragmentName].files || {}
+        return acc.concat(Object.keys(fragmentFiles).map((filePath) => [filePath, fragmentFiles[filePath]]))
+      }, [])
+
+      const result = {
+        isValid: true,
+        checkedFilesCount: files.length,
+        hashedFilesCount: 0,
+        missing: [],
+        corrupted: [],
+      }
+
+      let filesProgress = 0
+      let hasUpdatedFiles = false
+
+      return pMap(files, ([filePath, file]) => {
+        return this.verifyFile(location, filePath, file)
+          .then(({ status, hashed, updated }) => {
+            if (hashed) {
+              result.hashedFilesCount += 1
+            }
+
+            if (updated) {
+              hasUpdatedFiles = true
+            }
+
+            if (status !== this.FILE_STATUS.OK) {
+              result.isValid = false
+              result[status].push(filePath)
+            }
+
+            filesProgress += 1
+            onProgress({
+              filesProgress,
+              filesTotal: files.length,
+            })
+          })
+      }, {
+        concurrency: VERIFY_CONCURRENCY,
+      })
+        .then(() => {
+          if (hasUpdatedFiles) {
+            return updateHelper.saveLocalHashes(location, hashes)
+          }
+        })
+        .then(() => result)
+    })
+}
+
+/**
+ * When the hash of a file confirms it is valid, its size and modification
+ * time are updated in place in the given file object.
+ *
+ * @summary Verify a single file
+ * @param {String} location - location of the release
+ * @param {String} filePath - path of the file, relative to the location
+ * @param {Object} file - file from the local hashes, as { hash, size, mtime }
+ * @returns {Promise} Promise resolved with { status, hashed, updated }
+ */
+exports.verifyFile = function (location, filePath, file) {
+  const {
+    fs,
+    cryptoHelper,
+  } = this.modules
+
+  const absoluteFilePath = path.join(location, filePath)
+
+  return fs.stat(absoluteFilePath)
+    .then((stats) => {
+      // A file marked as broken by a previous repair can not be valid
+      if (!file.hash || (file.size !== undefined && stats.size !== file.size)) {
+        return { status: this.FILE_STATUS.CORRUPTED, hashed: false }
+      }
+
+      if (file.mtime !== undefined && stats.mtime.getTime() === file.mtime) {
+        return { status: this.FILE_STATUS.OK, hashed: false }
+      }
+
+      return cryptoHelper.getFileHash(absoluteFilePath)
+        .then((hash) => {
+          if (hash !== file.hash) {
+            return { status: this.FILE_STATUS.CORRUPTED, hashed: true, updated: false }
+          }
+
+          file.size = stats.size
+          file.mtime = stats.mtime.getTime()
+          return { status: this.FILE_STATUS.OK, hashed: true, updated: true }
+        })
+    }, () => ({ status: this.FILE_STATUS.MISSING, hashed: false }))
+}
@@ -27,11 +27,25 @@ inject(exports, {
   settings: require('../settings'),
   buildConfig: require('../buildConfig'),
   fetch: require('../fetch'),
+  cryptoHelper: require('../cryptoHelper'),
   timeOutMaxRetries: 2,
   timeOutMinInterval: 1000,
   timeOutMaxInterval: 2000,
 })
 
+// Errors
+const {
+  errors,
+  ZaapError,
+} = require('../errors').register('REPOSITORY', {
+  MISSING_SIGNATURE: 16000,
+  INVALID_SIGNATURE: 16001,
+})
+
+exports.errors = errors
+
+exports.SIGNATURE_EXTENSION = '.sig'
+
 const MIN_TTL = 30 // We do not want to get a TTL under 30 seconds
 
 /**
@@ -295,6 +309,92 @@ Repository.prototype.fetchJSON = function (subPath) {
   })
 }
 
+/**
+ * @summary Get the public keys the manifests of the repository must be signed with
+ * @returns {Array<String>} PEM encoded public keys, empty if the manifests are not signed
+ */
+Repository.prototype.getPublicKeys = function () {
+  const {
+    buildConfig,
+  } = this.modules
+
+  return (buildConfig.cytrus && buildConfig.cytrus.publicKeys) || []
+}
+
+/**
+ * The manifests of the repository (games list, release hashes, configuration
+ * and meta) are signed when public keys are set in the `cytrus.publicKeys`
+ * entry of the build config. The signature of `<file>` is `<file>.sig`: the
+ * base64 encoded SHA-256 signature of the exact content of the file.
+ *
+ * A manifest whose signature is missing or does not match any of the keys
+ * is rejected, so that neither a mirror nor a man in the middle can change
+ * the files installed by the updater, even when `allowInsecureHttps` is set.
+ *
+ * @summary Make a request to the repository, and return the file once its signature is verified.
+ * @param {string} subPath - The relative path to the file you wish to download.
+ * @returns {Promise} - Promise resolved with { data, signature }, signature being null if the manifests are not signed.
+ */
+Repository.prototype.fetchSigned = function (subPath) {
+  const {
+    cryptoHelper,
+  } = this.modules
+
+  const {
+    MISSING_SIGNATURE,
+    INVALID_SIGNATURE,
+  } = errors
+
+  const publicKeys = this.getPublicKeys()
+
+  if (publicKeys.length === 0) {
+    return this.fetch(subPath).then((data) => ({ data, signature: null }))
+  }
+
+  const signaturePromise = this.fetch(subPath + exports.SIGNATURE_EXTENSION)
+    .catch((error) => {
+      logger.error(`repository: cannot fetch the signature of ${subPath}`, error)
+      throw new ZaapError(
+        MISSING_SIGNATURE,
+        `Missing signature for ${subPath}`,
+        'repository.error.missingSignature'
+      )
+    })
+
+  return Promise.all([this.fetch(subPath), signaturePromise])
+    .then(([data, signature]) => {
+      signature = signature.toString().trim()
+
+      if (!cryptoHelper.verifySignature(data, signature, publicKeys)) {
+        logger.error(`repository: invalid signature for ${subPath}`, {
+          repository: this.server,
+        })
+        throw new ZaapError(
+          INVALID_SIGNATURE,
+          `Invalid signature for ${subPath}`,
+          'repository.error.invalidSignature'
+        )
+      }
+
+      return { data, signature }
+    })
+}
+
+/**
+ * See `fetchSigned`.
+ *
+ * @summary Make a request to the repository, and return a JSON object once its signature is verified.
+ * @param {string} subPath - The relative path to the file you wish to download.
+ * @returns {Promise} - Promise object of the file download.
+ */
+Repository.prototype.fetchSignedJSON = function (subPath) {
+  return this.fetchSigned(subPath)
+    .then(({ data }) => {
+      logger.debug(`fetchSignedJSON: Parsing data for ${subPath}`)
+      return JSON.parse(data)
+    })
+}
+
 /**
  * @summary Deep merge an object into another
  * @param {Object} target - Target object
@@ -323,7 +423,7 @@ Repository.prototype.getGamesList = function () {
     PRE_RELEASE,
   } = settings.KEYS
 
-  return this.fetchJSON('/cytrus.json').then((gamesList) => {
+  return this.fetchSignedJSON('/cytrus.json').then((gamesList) => {
     if (!gamesList.version || gamesList.version !== exports.CYTRUS_VERSION) {
       this.unwatch()
       logger.warn('repository: cytrus version not supported', gamesList.version, gamesList.Version)
@@ -352,7 +452,7 @@ Repository.prototype.getGamesList = function () {
  */
 Repository.prototype.getRelease = function (gameUid, release, platform, version) {
   const file = ['', gameUid, 'releases', release, platform, version + '.json'].join('/')
-  return this.fetchJSON(file)
+  return this.fetchSignedJSON(file)
 }
 
 /**
@@ -366,7 +466,7 @@ Repository.prototype.getRelease = function (gameUid, release, platform, version)
  */
 Repository.prototype.getReleaseMeta = function (gameUid, release, platform, version) {
   const file = ['', gameUid, 'releases', release, platform, version + '.meta'].join('/')
-  return this.fetchJSON(file)
+  return this.fetchSignedJSON(file)
 }
 
 /**
@@ -380,7 +480,7 @@ Repository.prototype.getReleaseMeta = function (gameUid, release, platform, vers
  */
 Repository.prototype.getReleaseConfig = function (gameUid, release, platform, version) {
   const file = ['', gameUid, 'releases', release, platform, version + '.config'].join('/')
-  return this.fetchJSON(file)
+  return this.fetchSignedJSON(file)
 }
 
 /**
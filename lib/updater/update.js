@@ -2,6 +2,7 @@ const arrayHelper = require('../arrayHelper')
 const EventEmitter = require('events')
 const updateHelper = require('./helpers/updateHelper')
 const remoteCommunication = require('../remoteCommunication')
+const bandwidthLimiter = require('../bandwidthLimiter')
 
 const ACTION_TYPES = require('./actions/updateActionTypes')
 const CONFIGURATION_FRAGMENT = 'configuration'
@@ -19,6 +20,7 @@ const UPDATE_TYPES = {
   UPDATE: Symbol('UPDATE'),
   REPAIR: Symbol('REPAIR'),
   PRE_INSTALL: Symbol('PRE_INSTALL'),
+  ROLLBACK: Symbol('ROLLBACK'),
 }
 
 let updateId = 0
@@ -133,6 +135,12 @@ class Update extends EventEmitter {
     this.downloadSpeed = 0
     this.downloadSpeedBuckets = []
 
+    // Overrides the launcher bandwidth limit when not null
+    this.bandwidthLimit = null
+
+    // Installs and repairs are asked for by the user, they do not wait for the update windows
+    this.isScheduleIgnored = type === UPDATE_TYPES.INSTALL || type === UPDATE_TYPES.REPAIR
+
     this.averageSpeed = 0
     this.downloadSpeedCount = 0
 
@@ -255,6 +263,25 @@ class Update extends EventEmitter {
     return this.downloadSpeed
   }
 
+  /**
+   * @summary Override the launcher bandwidth limit for this update
+   * @param {Number|null} bandwidthLimit - limit in bytes per second (0 means unlimited, null uses the launcher setting)
+   * @returns {undefined} void
+   */
+  setBandwidthLimit(bandwidthLimit) {
+    this.bandwidthLimit = bandwidthLimit
+    this.sendLightObjectByIpc()
+  }
+
+  /**
+   * @summary Run this update even outside of the update windows or while a game is running
+   * @returns {undefined} void
+   */
+  ignoreSchedule() {
+    this.isScheduleIgnored = true
+    this._updateQueue.checkPauseState()
+  }
+
   /**
    * @summary Clear the queue when fragments change
    * @returns {undefined} void
@@ -563,6 +590,12 @@ class Update extends EventEmitter {
     if (error) {
       this.emit('error', error)
     } else {
+      if (this.type === UPDATE_TYPES.REPAIR) {
+        updateHelper.removeRepairCheckpoint(this.location)
+          .catch((error) => {
+            this._logger.warn('update: cannot remove the repair checkpoint', error)
+          })
+      }
       this.emit('completed')
     }
   }
@@ -593,7 +626,7 @@ class Update extends EventEmitter {
       this._actionsQueue.push(this.createRepairQueuedAction())
     }
 
-    if (this.type === UPDATE_TYPES.INSTALL || this.type === UPDATE_TYPES.UPDATE) {
+    if (this.type === UPDATE_TYPES.INSTALL || this.type === UPDATE_TYPES.UPDATE || this.type === UPDATE_TYPES.ROLLBACK) {
       this._actionsQueue.push(this.createQueuedAction(ACTION_TYPES.GET_LOCAL_HASHES))
     }
 
@@ -1082,6 +1115,9 @@ class Update extends EventEmitter {
       downloadProgress: this.downloadProgress,
       overallDownloadProgress: this.overallDownloadProgress,
       downloadSpeed: this.downloadSpeed,
+      bandwidthLimit: bandwidthLimiter.getLimit(this),
+      bandwidthLimitOverride: this.bandwidthLimit,
+      queuePauseReason: this._updateQueue.pauseReason,
     }
 
     return lightObject
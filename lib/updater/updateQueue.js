@@ -7,11 +7,24 @@ inject(exports, {
   connectivity: require('../connectivity'),
   logger: require('../logger'),
   autoUpdater: require('../autoUpdater'),
+  bandwidthLimiter: require('../bandwidthLimiter'),
+  settings: require('../settings'),
+  updateSchedule: require('./updateSchedule'),
 })
 
+// Check the schedule at least this often, in case timers were delayed (computer sleep, etc.)
+const SCHEDULE_CHECK_MAX_DELAY_IN_MS = 5 * 60 * 1000
+
+exports.PAUSE_REASONS = {
+  OFFLINE: 'offline',
+  AUTO_UPDATE: 'autoUpdate',
+}
+
 exports.updates = []
 exports.currentUpdate = null
 exports.isPaused = false
+exports.pauseReason = null
+exports.scheduleTimeout = null
 
 /**
  * @summary Setup the updateQueue
@@ -22,8 +35,12 @@ exports.setup = function () {
     connectivity,
     autoUpdater,
     logger,
+    bandwidthLimiter,
+    settings,
   } = this.modules
 
+  bandwidthLimiter.setup()
+
   autoUpdater.on('downloadStarted', () => {
     logger.info('updateQueue: autoUpdate download started, pausing')
     this.checkPauseState()
@@ -38,7 +55,39 @@ exports.setup = function () {
     this.checkPauseState()
   })
 
+  const onScheduleSettingsChange = () => {
+    logger.info('updateQueue: update schedule changed')
+    this.checkPauseState()
+    this.scheduleNextCheck()
+  }
+  settings.watch(settings.KEYS.UPDATE_WINDOWS, onScheduleSettingsChange)
+  settings.watch(settings.KEYS.PAUSE_UPDATES_WHILE_PLAYING, onScheduleSettingsChange)
+
   this.checkPauseState()
+  this.scheduleNextCheck()
+}
+
+/**
+ * @summary Check the pause state again when the next update window starts or ends
+ * @returns {undefined} void
+ */
+exports.scheduleNextCheck = function () {
+  const {
+    updateSchedule,
+  } = this.modules
+
+  clearTimeout(this.scheduleTimeout)
+  this.scheduleTimeout = null
+
+  const delay = updateSchedule.getDelayUntilNextChange()
+  if (delay === null) {
+    return
+  }
+
+  this.scheduleTimeout = setTimeout(() => {
+    this.checkPauseState()
+    this.scheduleNextCheck()
+  }, Math.min(delay, SCHEDULE_CHECK_MAX_DELAY_IN_MS))
 }
 
 /**
@@ -68,6 +117,9 @@ exports.add = function (update) {
 
   this.updates.push(update)
 
+  // Updates from a bundle may run while we are offline
+  this.checkPauseState()
+
   if ((!this.currentUpdate || this.currentUpdate.isPausedByUser) && !this.isPaused) {
     this.startFirstUpdateInQueue()
   }
@@ -172,25 +224,82 @@ exports.setIndex = function (update, newIndex, { pausedByUser = false, resumedBy
   return pausePromise || Promise.resolve()
 }
 
+/**
+ * @summary Get the reason why the queue must be paused
+ * @returns {String|null} one of PAUSE_REASONS or updateSchedule.PAUSE_REASONS, null if the queue may run
+ */
+exports.getPauseReason = function () {
+  const {
+    connectivity,
+    autoUpdater,
+    updateSchedule,
+  } = this.modules
+
+  if (!connectivity.isOnline && this.isNetworkNeeded()) {
+    return this.PAUSE_REASONS.OFFLINE
+  }
+
+  if (autoUpdater.isDownloading) {
+    return this.PAUSE_REASONS.AUTO_UPDATE
+  }
+
+  if (!this.isScheduleFollowed()) {
+    return null
+  }
+
+  return updateSchedule.getPauseReason()
+}
+
+/**
+ * @summary Check if the next update to run waits for the update schedule
+ * @returns {boolean} true if the update schedule applies
+ */
+exports.isScheduleFollowed = function () {
+  const update = this.currentUpdate || this.updates[0]
+
+  return !update || !update.isScheduleIgnored
+}
+
+/**
+ * Updates reading their files from the disk (bundles) do not need the network.
+ *
+ * @summary Check if the next update to run needs the network
+ * @returns {boolean} true if the network is needed
+ */
+exports.isNetworkNeeded = function () {
+  const update = this.currentUpdate || this.updates[0]
+
+  return !update || !update.repository.isLocal
+}
+
 /**
  * @summary Check if the queue must be pauses or resumed
  * @returns {undefined} void
  */
 exports.checkPauseState = function () {
   const {
-    connectivity,
-    autoUpdater,
+    logger,
   } = this.modules
 
+  const pauseReason = this.getPauseReason()
+  const hasPauseReasonChanged = pauseReason !== this.pauseReason
+  this.pauseReason = pauseReason
+
   if (this.isPaused) {
-    if (connectivity.isOnline && !autoUpdater.isDownloading) {
+    if (!pauseReason) {
       this.resume()
     }
   } else {
-    if (!connectivity.isOnline || autoUpdater.isDownloading) {
+    if (pauseReason) {
+      logger.info('updateQueue: pausing', { pauseReason })
       this.pause()
     }
   }
+
+  // Let the renderer process know why the updates are waiting
+  if (hasPauseReasonChanged) {
+    this.updates.forEach((update) => update.sendLightObjectByIpc())
+  }
 }
 
 /**
@@ -373,7 +482,10 @@ exports.onUpdateCompleted = function () {
   this.currentUpdate = null
   this.remove(update)
 
-  if (this.updates.length > 0) {
+  // The next update may need the network while the completed one did not
+  this.checkPauseState()
+
+  if (this.updates.length > 0 && !this.isPaused && !this.currentUpdate) {
     this.startFirstUpdateInQueue()
   }
 }
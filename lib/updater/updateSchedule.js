@@ -0,0 +1,158 @@
+/**
+ * The update schedule tells the update queue when it is allowed
+ * to download, based on the launcher settings:
+ *
+ *   - `UPDATE_WINDOWS`: time windows during which updates may run,
+ *     e.g. `[{ start: '02:00', end: '07:00' }]`. A window may span
+ *     midnight (`{ start: '22:00', end: '06:00' }`). No window means
+ *     updates may run at any time.
+ *   - `PAUSE_UPDATES_WHILE_PLAYING`: pause updates while any game
+ *     release is running.
+ *
+ * Installs, repairs and updates started from the command line ignore
+ * the schedule (see `Update.isScheduleIgnored`).
+ *
+ * @module zaap/updater/updateSchedule
+ */
+const inject = require('instill')
+
+/* istanbul ignore next */
+inject(exports, {
+  settings: require('../settings'),
+  // We encapsulate in a function to avoid circular dependencies issues
+  getRegistry: () => require('../games/registry'),
+  getDate: () => new Date(),
+})
+
+const MINUTES_PER_DAY = 24 * 60
+const MS_PER_MINUTE = 60 * 1000
+
+exports.PAUSE_REASONS = {
+  OUTSIDE_UPDATE_WINDOW: 'outsideUpdateWindow',
+  GAME_RUNNING: 'gameRunning',
+}
+
+/**
+ * @summary Convert a time of the day to a number of minutes since midnight
+ * @param {String} time - time formatted as HH:MM
+ * @returns {Number} number of minutes since midnight
+ */
+exports.parseTime = function (time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time)
+
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`updateSchedule: invalid time ${time}, expected HH:MM`)
+  }
+
+  return Number(match[1]) * 60 + Number(match[2])
+}
+
+/**
+ * Invalid windows are ignored.
+ *
+ * @summary Get the configured update windows
+ * @returns {Array} list of windows, with start and end in minutes since midnight
+ */
+exports.getUpdateWindows = function () {
+  const {
+    settings,
+  } = this.modules
+
+  const windows = settings.get(settings.KEYS.UPDATE_WINDOWS) || []
+
+  return windows.reduce((parsedWindows, window) => {
+    try {
+      const start = this.parseTime(window.start)
+      const end = this.parseTime(window.end)
+
+      if (start !== end) {
+        parsedWindows.push({ start, end })
+      }
+    } catch (error) {
+      // ignore invalid windows
+    }
+
+    return parsedWindows
+  }, [])
+}
+
+/**
+ * @summary Check if the date is inside one of the update windows
+ * @param {Date} [date] - date to check, defaults to now
+ * @returns {boolean} true if updates may run at this date
+ */
+exports.isInUpdateWindow = function (date = this.modules.getDate()) {
+  const windows = this.getUpdateWindows()
+
+  if (windows.length === 0) {
+    return true
+  }
+
+  const minutes = date.getHours() * 60 + date.getMinutes()
+
+  return windows.some(({ start, end }) => {
+    if (start < end) {
+      return minutes >= start && minutes < end
+    }
+
+    // The window spans midnight
+    return minutes >= start || minutes < end
+  })
+}
+
+/**
+ * @summary Check if any game release is currently running
+ * @returns {boolean} true if at least one instance of a release is running
+ */
+exports.isGameRunning = function () {
+  const registry = this.modules.getRegistry()
+
+  return Object.keys(registry.games).some((gameUid) => {
+    const releases = registry.games[gameUid].releases
+    return Object.keys(releases).some((releaseName) => releases[releaseName].isRunning())
+  })
+}
+
+/**
+ * @summary Get the reason why updates are not allowed to run right now
+ * @returns {String|null} one of PAUSE_REASONS, or null if updates may run
+ */
+exports.getPauseReason = function () {
+  const {
+    settings,
+  } = this.modules
+
+  if (!this.isInUpdateWindow()) {
+    return this.PAUSE_REASONS.OUTSIDE_UPDATE_WINDOW
+  }
+
+  if (settings.get(settings.KEYS.PAUSE_UPDATES_WHILE_PLAYING) && this.isGameRunning()) {
+    return this.PAUSE_REASONS.GAME_RUNNING
+  }
+
+  return null
+}
+
+/**
+ * @summary Get the delay until the next window starts or ends
+ * @param {Date} [date] - date to compute the delay from, defaults to now
+ * @returns {Number|null} delay in milliseconds, or null if there is no update window
+ */
+exports.getDelayUntilNextChange = function (date = this.modules.getDate()) {
+  const windows = this.getUpdateWindows()
+
+  if (windows.length === 0) {
+    return null
+  }
+
+  const minutes = date.getHours() * 60 + date.getMinutes()
+  const minutesUntilNextChange = windows.reduce((minimum, { start, end }) => {
+    return [start, end].reduce((minimum, boundary) => {
+      const delta = (boundary - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY
+      return Math.min(minimum, delta)
+    }, minimum)
+  }, MINUTES_PER_DAY)
+
+  // Align on the start of the minute
+  return minutesUntilNextChange * MS_PER_MINUTE - date.getSeconds() * 1000 - date.getMilliseconds()
+}
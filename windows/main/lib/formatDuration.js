@@ -0,0 +1,13 @@
+exports = module.exports = function (duration) {
+  if (!Number.isFinite(duration)) {
+    throw new TypeError(`Expected a finite number, got ${typeof duration}: ${duration}`)
+  }
+
+  const minutes = Math.floor(duration / (60 * 1000))
+
+  if (minutes < 60) {
+    return `${minutes} min`
+  }
+
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`
+}
@@ -315,12 +315,64 @@ exports.uninstallRelease = function (context, {
 exports.startRelease = function (context, {
   release,
   numberOfInstancesToStart,
+  accountIds,
+  launchProfileName,
 }) {
   ipcRenderer.send(
     remoteCommunication.CHANNELS.RELEASE_START,
     release.gameUid,
     release.name,
-    numberOfInstancesToStart || 1,
+    numberOfInstancesToStart || (accountIds ? accountIds.length : 1),
+    accountIds || [],
+    launchProfileName || null,
+  )
+}
+
+exports.setReleaseLaunchProfile = function (context, {
+  release,
+  launchProfile,
+  previousName,
+}) {
+  ipcRenderer.send(
+    remoteCommunication.CHANNELS.RELEASE_LAUNCH_PROFILE_SET,
+    release.gameUid,
+    release.name,
+    launchProfile,
+    previousName
+  )
+}
+
+exports.removeReleaseLaunchProfile = function (context, {
+  release,
+  name,
+}) {
+  ipcRenderer.send(
+    remoteCommunication.CHANNELS.RELEASE_LAUNCH_PROFILE_REMOVE,
+    release.gameUid,
+    release.name,
+    name
+  )
+}
+
+exports.exportReleasePlaytime = function (context, {
+  release,
+  filepath,
+}) {
+  ipcRenderer.send(
+    remoteCommunication.CHANNELS.RELEASE_PLAYTIME_EXPORT,
+    release.gameUid,
+    release.name,
+    filepath
+  )
+}
+
+exports.dismissReleaseCrash = function (context, {
+  release,
+}) {
+  ipcRenderer.send(
+    remoteCommunication.CHANNELS.RELEASE_CRASH_DISMISS,
+    release.gameUid,
+    release.name
   )
 }
 
@@ -364,6 +416,26 @@ exports.repairRelease = function (context, {
   )
 }
 
+exports.rollbackRelease = function (context, {
+  release,
+}) {
+  ipcRenderer.send(
+    remoteCommunication.CHANNELS.RELEASE_ROLLBACK,
+    release.gameUid,
+    release.name
+  )
+}
+
+exports.verifyRelease = function (context, {
+  release,
+}) {
+  ipcRenderer.send(
+    remoteCommunication.CHANNELS.RELEASE_VERIFY,
+    release.gameUid,
+    release.name
+  )
+}
+
 exports.setReleaseUpdateQueueIndex = function (context, {
   release,
   index,
@@ -376,6 +448,18 @@ exports.setReleaseUpdateQueueIndex = function (context, {
   )
 }
 
+exports.setReleaseUpdateBandwidthLimit = function (context, {
+  release,
+  bandwidthLimit,
+}) {
+  ipcRenderer.send(
+    remoteCommunication.CHANNELS.RELEASE_UPDATE_SET_BANDWIDTH_LIMIT,
+    release.gameUid,
+    release.name,
+    bandwidthLimit
+  )
+}
+
 /**
  * RELEASE SETTINGS ACTIONS
  */
@@ -448,6 +532,8 @@ exports.syncAuth = function (context) {
   // callbacks
   const setAuth = (auth) => {
     context.commit(types.SET_AUTHENTICATED, auth.isAuthenticated)
+    context.commit(types.SET_AUTH_ACCOUNTS, auth)
+    context.commit(types.SET_AUTH_EXPIRED_SESSION, auth.expiredSession)
   }
 
   const authUpdatedCallback = (event, auth) => {
@@ -466,6 +552,8 @@ exports.syncAuth = function (context) {
 
 exports.syncUser = function (context) {
   ipcRenderer.on(remoteCommunication.CHANNELS.USER_RELEASE_READY, () => {
+    // Sent once an account is logged in or switched to
+    context.commit(types.SET_IS_ADDING_ACCOUNT, false)
     context.commit(
       types.DISPLAY_RELEASE,
       zaapSettings.get(zaapSettings.KEYS.LAST_OPENED_RELEASE)
@@ -507,13 +595,27 @@ exports.login = function (context, args) {
     login,
     password,
     stayLoggedIn,
+    code,
+    trustDevice,
   } = args
 
-  ipcRenderer.send(remoteCommunication.CHANNELS.AUTH_LOGIN, login, password, stayLoggedIn)
+  ipcRenderer.send(remoteCommunication.CHANNELS.AUTH_LOGIN, login, password, stayLoggedIn, code, trustDevice)
+}
+
+exports.logout = function (context, accountId) {
+  ipcRenderer.send(remoteCommunication.CHANNELS.AUTH_LOGOUT, accountId)
+}
+
+exports.switchAccount = function (context, accountId) {
+  ipcRenderer.send(remoteCommunication.CHANNELS.AUTH_SWITCH_ACCOUNT, accountId)
+}
+
+exports.addAccount = function (context) {
+  context.commit(types.SET_IS_ADDING_ACCOUNT, true)
 }
 
-exports.logout = function () {
-  ipcRenderer.send(remoteCommunication.CHANNELS.AUTH_LOGOUT)
+exports.cancelAddAccount = function (context) {
+  context.commit(types.SET_IS_ADDING_ACCOUNT, false)
 }
 
 /**
@@ -144,6 +144,22 @@ exports[types.SET_AUTHENTICATED] = function (state, isAuthenticated) {
   state.auth.isAuthenticated = isAuthenticated
 }
 
+exports[types.SET_AUTH_ACCOUNTS] = function (state, {
+  accountId,
+  accounts,
+}) {
+  state.auth.accountId = accountId
+  state.auth.accounts = accounts
+}
+
+exports[types.SET_AUTH_EXPIRED_SESSION] = function (state, expiredSession) {
+  state.auth.expiredSession = expiredSession
+}
+
+exports[types.SET_IS_ADDING_ACCOUNT] = function (state, isAddingAccount) {
+  state.auth.isAddingAccount = isAddingAccount
+}
+
 exports[types.SET_TERMS_CONTENT] = function (state, terms) {
   state.terms.content = terms
 }
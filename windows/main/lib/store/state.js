@@ -25,6 +25,10 @@ module.exports = {
   },
   auth: {
     isAuthenticated: false,
+    accountId: null,
+    accounts: [],
+    isAddingAccount: false,
+    expiredSession: null,
   },
   user: {
     isLoading: false,
@@ -2,6 +2,9 @@ const types = [
   // General application remote object synchronisations
   'SET_SETTINGS',
   'SET_AUTHENTICATED',
+  'SET_AUTH_ACCOUNTS',
+  'SET_AUTH_EXPIRED_SESSION',
+  'SET_IS_ADDING_ACCOUNT',
   'SET_BUILD_CONFIG',
   'SET_WINDOW_IS_FOCUSED',
   'SET_WINDOW_IS_MAXIMIZED',